@@ -0,0 +1,53 @@
+const { getSecret, hmac, signaturesMatch } = require("./secret");
+
+/**
+ * Per-session completion codes.
+ *
+ * A code is `<payload>.<signature>` where the payload is the base64url of
+ * "<sessionId>.<finishedAt>" and the signature is an HMAC-SHA256 of that
+ * payload with COMPLETION_SECRET. Anyone holding the secret can check a code
+ * without the game server (see scripts/verify-code.js).
+ */
+
+const SIGNATURE_LENGTH = 22;
+
+function sign(payload, key) {
+  return hmac(payload, key).slice(0, SIGNATURE_LENGTH);
+}
+
+function issueCompletionCode(sessionId, finishedAt, key = getSecret()) {
+  const payload = Buffer.from(`${sessionId}.${finishedAt}`).toString("base64url");
+  return `${payload}.${sign(payload, key)}`;
+}
+
+/**
+ * Returns { valid: true, sessionId, finishedAt } for a genuine code,
+ * { valid: false } for anything else.
+ */
+function verifyCompletionCode(code, key = getSecret()) {
+  if (typeof code !== "string") return { valid: false };
+
+  const [payload, signature, ...rest] = code.trim().split(".");
+  if (!payload || !signature || rest.length > 0) return { valid: false };
+
+  if (!signaturesMatch(sign(payload, key), signature)) {
+    return { valid: false };
+  }
+
+  const decoded = Buffer.from(payload, "base64url").toString("utf8");
+  const separator = decoded.lastIndexOf(".");
+  const sessionId = decoded.slice(0, separator);
+  const finishedAt = Number(decoded.slice(separator + 1));
+  if (separator <= 0 || !Number.isFinite(finishedAt)) return { valid: false };
+
+  return {
+    valid: true,
+    sessionId,
+    finishedAt: new Date(finishedAt).toISOString(),
+  };
+}
+
+module.exports = {
+  issueCompletionCode,
+  verifyCompletionCode,
+};
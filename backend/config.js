@@ -0,0 +1,158 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Server settings: backend/config.json holds the defaults, CONFIG_FILE can
+ * point at a JSON file with overrides (merged key by key), and environment
+ * variables override both:
+ *
+ *   PORT                                  port
+ *   LLM_PROVIDER                          provider.name (mistral, openai, mock)
+ *   LLM_TIMEOUT_MS                        provider.timeoutMs
+ *   MISTRAL_MODEL                         provider.mistral.model
+ *   OPENAI_BASE_URL, OPENAI_MODEL,        provider.openai.*
+ *   OPENAI_JSON_MODE
+ *   {INTERPRET,NARRATE,SUMMARIZE}_        sampling.<task>.*
+ *     {TEMPERATURE,MAX_TOKENS,TOP_P}
+ *   PROMPTS_DIR, PROMPTS_HOT_RELOAD       prompts.*
+ *   LEADERBOARD_FILE                      leaderboard.file
+ *
+ * API keys are never read from files; they stay in the environment.
+ * prompts.hotReload left at null turns on when NODE_ENV=development.
+ */
+
+const DEFAULTS_FILE = path.join(__dirname, "config.json");
+
+const SAMPLING_TASKS = ["interpret", "narrate", "summarize"];
+const SAMPLING_FIELDS = {
+  temperature: "TEMPERATURE",
+  maxTokens: "MAX_TOKENS",
+  topP: "TOP_P",
+};
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Could not read config file ${file}: ${err.message}`);
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Merge `overrides` into `base`, object by object. Returns a new object.
+ */
+function mergeConfig(base, overrides) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+  }
+  return merged;
+}
+
+function readNumber(env, name) {
+  if (env[name] === undefined || env[name] === "") return undefined;
+  const value = Number(env[name]);
+  if (!Number.isFinite(value)) {
+    throw new Error(`${name} must be a number, got "${env[name]}"`);
+  }
+  return value;
+}
+
+function readBoolean(env, name) {
+  if (env[name] === undefined || env[name] === "") return undefined;
+  return env[name] !== "false" && env[name] !== "0";
+}
+
+/**
+ * The overrides set in the environment, shaped like config.json.
+ */
+function configFromEnv(env) {
+  const sampling = {};
+  for (const task of SAMPLING_TASKS) {
+    for (const [field, suffix] of Object.entries(SAMPLING_FIELDS)) {
+      const value = readNumber(env, `${task.toUpperCase()}_${suffix}`);
+      if (value !== undefined) {
+        sampling[task] = { ...sampling[task], [field]: value };
+      }
+    }
+  }
+
+  const overrides = {
+    port: readNumber(env, "PORT"),
+    provider: {
+      name: env.LLM_PROVIDER || undefined,
+      timeoutMs: readNumber(env, "LLM_TIMEOUT_MS"),
+      mistral: { model: env.MISTRAL_MODEL || undefined },
+      openai: {
+        baseUrl: env.OPENAI_BASE_URL || undefined,
+        model: env.OPENAI_MODEL || undefined,
+        jsonMode: readBoolean(env, "OPENAI_JSON_MODE"),
+      },
+    },
+    sampling,
+    prompts: {
+      dir: env.PROMPTS_DIR || undefined,
+      hotReload: readBoolean(env, "PROMPTS_HOT_RELOAD"),
+    },
+    leaderboard: {
+      file: env.LEADERBOARD_FILE || undefined,
+    },
+  };
+  return JSON.parse(JSON.stringify(overrides)); // drops the unset (undefined) keys
+}
+
+/**
+ * Check the settings the server can't run without. Throws on the first problem.
+ */
+function validateConfig(config) {
+  if (!Number.isInteger(config.port) || config.port < 0 || config.port > 65535) {
+    throw new Error(`port must be an integer between 0 and 65535, got ${config.port}`);
+  }
+  if (!(config.provider.timeoutMs > 0)) {
+    throw new Error(`provider.timeoutMs must be a positive number of milliseconds, got ${config.provider.timeoutMs}`);
+  }
+  for (const task of SAMPLING_TASKS) {
+    const settings = config.sampling[task];
+    if (!isPlainObject(settings)) {
+      throw new Error(`sampling.${task} is missing`);
+    }
+    for (const field of Object.keys(SAMPLING_FIELDS)) {
+      if (typeof settings[field] !== "number") {
+        throw new Error(`sampling.${task}.${field} must be a number`);
+      }
+    }
+  }
+  if (typeof config.prompts.dir !== "string" || !config.prompts.dir) {
+    throw new Error("prompts.dir must be a directory name");
+  }
+  if (typeof config.leaderboard.file !== "string" || !config.leaderboard.file) {
+    throw new Error("leaderboard.file must be a file name");
+  }
+}
+
+/**
+ * Load the configuration: defaults, then CONFIG_FILE, then the environment.
+ */
+function loadConfig(env = process.env) {
+  let config = readJson(DEFAULTS_FILE);
+  if (env.CONFIG_FILE) {
+    config = mergeConfig(config, readJson(path.resolve(env.CONFIG_FILE)));
+  }
+  config = mergeConfig(config, configFromEnv(env));
+
+  if (config.prompts.hotReload === null || config.prompts.hotReload === undefined) {
+    config.prompts.hotReload = env.NODE_ENV === "development";
+  }
+
+  validateConfig(config);
+  return config;
+}
+
+module.exports = {
+  loadConfig,
+  mergeConfig,
+};
@@ -0,0 +1,422 @@
+/**
+ * The game master: the model calls behind a turn.
+ *
+ * - interpretInput() turns free-form player input into engine commands, or
+ *   the items a name could mean when the model can't tell
+ * - narrateOutcome() narrates what the engine actually did, as plain text
+ * - summarizeStory() folds older turns into the story so far (see history.js)
+ *
+ * Every call goes through a provider (see providers/index.js), so the same
+ * prompts work with Mistral, any OpenAI-compatible server, the offline mock or
+ * a stub in tests. The prompts themselves are templates in backend/prompts/
+ * (see prompts.js), and the sampling settings come from config.json.
+ */
+
+const { world, validateCommand, MAX_COMMANDS_PER_TURN } = require("../shared/engine");
+const { describeWorldForPrompt } = require("../shared/world");
+const { resolveLanguage, getLocale } = require("../shared/locales");
+const { createMetrics } = require("./metrics");
+const { PLAYER_INPUT_RULE, quotePlayerInput } = require("./prompt-safety");
+const { createPromptLibrary } = require("./prompts");
+const { loadConfig } = require("./config");
+
+// Extra attempts after an invalid interpret reply, each told what was wrong
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Shape of the interpret reply. "commands" are played in order ("command", a
+// single one, is what older prompts ask for); "ambiguous" asks the player
+// which item they meant. The other fields are tolerated (and type-checked) so
+// progress claims can be logged.
+const INTERPRET_REPLY_SCHEMA = {
+  commands: { type: "array" },
+  command: { type: "string" },
+  ambiguous: { type: "array" },
+  puzzleProgress: { type: "object" },
+  gameComplete: { type: "boolean" },
+  password: { type: "string" },
+  narration: { type: "string" },
+};
+
+// World/puzzle sections of the system prompt, generated once from the world file
+const worldPrompt = describeWorldForPrompt(world);
+
+// Engine commands, shared by both prompts
+const ENGINE_COMMANDS = `
+- look (or "bak" in Turkish)
+- go <direction> (${worldPrompt.directions})
+- take <item> (e.g., "take lantern", "take key")
+- inventory (or "envanter" in Turkish)
+- examine <item> (e.g., "examine lantern", "examine key")
+- drop <item> (puts a carried item down here)
+- use <item> (e.g., "use key", "use lantern")
+- break <item> (the player smashes or breaks something they carry)
+- open <item> / close <item> (e.g., "open stoneBox", "open lighthouseDoor")
+- read <item> (e.g., "read tornPage")
+- push <item> / pull <item>
+- put <item> in <item> (e.g., "put tornPage in stoneBox")
+- combine <item> with <item> (e.g., "combine tornPage with logbook")
+- help (the player asks what they can do)
+`.trim();
+
+/**
+ * Variables every prompt template can use: the world description ({{setting}},
+ * {{rooms}}, {{items}}, {{puzzle}}, {{endings}}, {{directions}}), {{engineCommands}},
+ * {{maxCommands}}, {{playerInputRule}} and the language ({{language}}, {{languageName}},
+ * {{languageLabel}}).
+ */
+function promptVariables(language) {
+  const selected = resolveLanguage(language);
+  // How prompts name the language comes from its locale bundle
+  const { prompt } = getLocale(selected);
+  return {
+    ...worldPrompt,
+    engineCommands: ENGINE_COMMANDS,
+    maxCommands: MAX_COMMANDS_PER_TURN,
+    playerInputRule: PLAYER_INPUT_RULE,
+    language: selected,
+    languageName: prompt.name,
+    languageLabel: prompt.label,
+  };
+}
+
+/**
+ * Ask the configured game master model which engine commands the player's
+ * input means, in the order they should run. Nothing is narrated here; the
+ * model returns STRICT JSON:
+ * {
+ *   "commands": ["<engine command>", ...]
+ * }
+ * or, when a name fits several items and the situation doesn't settle it:
+ * {
+ *   "ambiguous": ["<item>", "<item>"]
+ * }
+ *
+ * `history` holds the replayed story so far (see history.js), so "take it"
+ * can refer back to earlier turns.
+ *
+ * The reply is checked against INTERPRET_REPLY_SCHEMA and the engine's verbs,
+ * directions and items. An invalid reply is sent back with the error, up to
+ * MAX_REPAIR_ATTEMPTS times, before falling back to "look". Returns
+ * { commands, ambiguous, claims }; `ambiguous` is null or the item ids to ask about.
+ */
+async function interpretInput({ provider, metrics, prompts, sampling }, { input, stateSummary, language, history = [] }) {
+  const variables = {
+    ...promptVariables(language),
+    input: quotePlayerInput(input),
+    state: stateSummary,
+  };
+  const systemPrompt = prompts.render("interpret-system", variables);
+
+  const messages = [
+    { role: "system", content: systemPrompt },
+    ...history,
+    {
+      role: "user",
+      content: prompts.render("interpret-user", variables),
+    },
+  ];
+
+  metrics.increment("interpret.requests");
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const content = await provider.chat({
+      messages: [...messages],
+      ...sampling.interpret,
+      // Ask for JSON mode where the provider supports it
+      json: true,
+      // Structured context for providers that don't read the prompt (the mock)
+      context: { task: "interpret", input, language: resolveLanguage(language), attempt },
+    });
+
+    const parsed = parseModelJson(content);
+    const error = validateInterpretReply(parsed);
+    if (!error) {
+      metrics.increment(attempt === 0 ? "interpret.validFirstTry" : "interpret.repaired");
+      // Only the commands are trusted. Anything the model claims about
+      // progress is kept aside so it can be compared with the engine.
+      return {
+        commands: parsed.ambiguous ? [] : replyCommands(parsed).map((command) => command.trim()),
+        ambiguous: parsed.ambiguous ? [...new Set(parsed.ambiguous)] : null,
+        claims: pickModelClaims(parsed),
+      };
+    }
+
+    metrics.increment("interpret.invalidReplies");
+    console.warn(`Invalid interpret reply from ${provider.name} (attempt ${attempt + 1}): ${error}`);
+    console.warn("Reply was:", JSON.stringify(content));
+
+    if (attempt === MAX_REPAIR_ATTEMPTS) break;
+
+    // Show the model its own reply and what is wrong with it
+    metrics.increment("interpret.repairAttempts");
+    messages.push(
+      { role: "assistant", content: content || "" },
+      {
+        role: "user",
+        content: prompts.render("interpret-repair", { ...variables, error }),
+      }
+    );
+  }
+
+  metrics.increment("interpret.fallbacks");
+  return { commands: ["look"], ambiguous: null, claims: null };
+}
+
+/**
+ * Parse the model's JSON reply. The reply is tried as-is first (what JSON mode
+ * returns), then the inside of a code fence, then the outermost {...}.
+ * Returns null when none of them is valid JSON.
+ */
+function parseModelJson(content) {
+  const trimmed = (content || "").trim();
+  const candidates = [trimmed];
+
+  const fenceMatch = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenceMatch) {
+    candidates.push(fenceMatch[1].trim());
+  }
+  const objectMatch = trimmed.match(/\{[\s\S]*\}/);
+  if (objectMatch) {
+    candidates.push(objectMatch[0]);
+  }
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (err) {
+      // Try the next candidate
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a parsed interpret reply. Returns an error message the model can act
+ * on, or null when the reply is valid.
+ */
+function validateInterpretReply(parsed) {
+  if (parsed === null) {
+    return "it is not valid JSON";
+  }
+  if (typeof parsed !== "object" || Array.isArray(parsed)) {
+    return "it must be a JSON object";
+  }
+
+  for (const [field, rule] of Object.entries(INTERPRET_REPLY_SCHEMA)) {
+    const value = parsed[field];
+    if (value === undefined) {
+      if (rule.required) return `the "${field}" field is missing`;
+      continue;
+    }
+    const type = Array.isArray(value) ? "array" : value === null ? "null" : typeof value;
+    if (type !== rule.type) {
+      return `"${field}" must be a ${rule.type}, not ${type === "array" || type === "object" ? "an" : "a"} ${type}`;
+    }
+  }
+
+  if (parsed.ambiguous !== undefined) {
+    const options = new Set(parsed.ambiguous);
+    if (options.size < 2) return `"ambiguous" must list at least two items`;
+    const unknown = [...options].find((id) => !Object.hasOwn(world.items, id));
+    if (unknown !== undefined) {
+      return `"ambiguous" may only list engine item names, not ${JSON.stringify(unknown)} (known: ${Object.keys(world.items).join(", ")})`;
+    }
+    return null;
+  }
+
+  if (parsed.commands === undefined && parsed.command === undefined) {
+    return `the "commands" field is missing`;
+  }
+  if (parsed.commands === undefined) {
+    const commandError = validateCommand(parsed.command);
+    return commandError ? `"command" is not an engine command: ${commandError}` : null;
+  }
+  if (parsed.commands.length === 0) {
+    return `"commands" is empty`;
+  }
+  if (parsed.commands.length > MAX_COMMANDS_PER_TURN) {
+    return `"commands" holds ${parsed.commands.length} commands, but at most ${MAX_COMMANDS_PER_TURN} run in one turn`;
+  }
+  for (const [i, command] of parsed.commands.entries()) {
+    const commandError = validateCommand(command);
+    if (commandError) return `"commands[${i}]" is not an engine command: ${commandError}`;
+  }
+  return null;
+}
+
+/**
+ * The commands of a valid reply, whichever of the two fields holds them.
+ */
+function replyCommands(parsed) {
+  return parsed.commands !== undefined ? parsed.commands : [parsed.command];
+}
+
+/**
+ * Describe what the engine did this turn for the narration prompt: each
+ * command that ran, in order, and any that never ran because one failed.
+ */
+function describeOutcome(outcomes, skipped = []) {
+  const describe = (outcome) =>
+    outcome.ok ? `"${outcome.command}" SUCCEEDED` : `"${outcome.command}" FAILED (reason: ${outcome.reason})`;
+  if (outcomes.length === 1 && skipped.length === 0) return describe(outcomes[0]);
+
+  const lines = outcomes.map((outcome, i) => `${i + 1}. ${describe(outcome)}`);
+  if (skipped.length > 0) {
+    lines.push(`NOT ATTEMPTED, because the command before failed: ${skipped.map((command) => `"${command}"`).join(", ")}`);
+  }
+  return `these commands, in order:\n${lines.join("\n")}`;
+}
+
+/**
+ * Ask the configured game master model to narrate a turn the engine has
+ * already played. `outcomes` are the engine results ({ command, ok, reason })
+ * of the commands that ran, and `skipped` the commands that didn't (see
+ * runCommands in engine.js); the reply is plain narration text in the
+ * player's language. With `onToken`,
+ * the text is also handed over chunk by chunk while it streams in.
+ * `suspicious` marks input that looked like an injection attempt (see
+ * prompt-safety.js), so the model is reminded not to play along.
+ */
+async function narrateOutcome(
+  { provider, prompts, sampling },
+  { input, stateSummary, language, outcomes, skipped = [], history = [], onToken, suspicious = false }
+) {
+  const variables = {
+    ...promptVariables(language),
+    input: quotePlayerInput(input),
+    state: stateSummary,
+    outcome: describeOutcome(outcomes, skipped),
+    suspiciousNote: suspicious ? prompts.render("narrate-suspicious") : "",
+  };
+  // Example narrations in the player's language, English if there are none
+  const examples = `narrate-examples.${variables.language}`;
+  variables.examples = prompts.render(prompts.has(examples) ? examples : "narrate-examples.en");
+
+  const systemPrompt = prompts.render("narrate-system", variables);
+
+  const request = {
+    messages: [
+      { role: "system", content: systemPrompt },
+      ...history,
+      {
+        role: "user",
+        content: prompts.render("narrate-user", variables),
+      },
+    ],
+    ...sampling.narrate,
+    // Structured context for providers that don't read the prompt (the mock).
+    // `outcome` is the last command that ran, which decides how the turn went.
+    context: { task: "narrate", input, language: variables.language, outcome: outcomes.at(-1), outcomes, skipped },
+  };
+
+  // Stream when the caller wants the text as it arrives and the provider can
+  let content;
+  if (onToken && provider.stream) {
+    content = "";
+    // A reply wrapped in JSON or a code fence is held back and sent unwrapped
+    // once complete, so the player never sees the raw wrapping
+    let wrapped = null;
+    let sent = 0;
+    for await (const chunk of provider.stream(request)) {
+      content += chunk;
+      if (wrapped === null && content.trim()) wrapped = /^[{`]/.test(content.trim());
+      if (wrapped === false) {
+        onToken(content.slice(sent));
+        sent = content.length;
+      }
+    }
+    if (wrapped) onToken(cleanNarration(content));
+  } else {
+    content = await provider.chat(request);
+  }
+
+  return cleanNarration(content);
+}
+
+/**
+ * Plain narration text from the model's reply. Models used to answering in
+ * JSON sometimes still do, so a { narration } object is unwrapped.
+ */
+function cleanNarration(content) {
+  let text = (content || "").trim().replace(/^```\w*\s*|```$/g, "").trim();
+  if (text.startsWith("{")) {
+    const parsed = parseModelJson(text);
+    if (parsed && typeof parsed.narration === "string") {
+      text = parsed.narration.trim();
+    }
+  }
+  // Strip quotes wrapped around the whole reply
+  if (/^"[^"]*"$/.test(text)) {
+    text = text.slice(1, -1).trim();
+  }
+  return text;
+}
+
+/**
+ * Progress-related fields the model added on its own, or null if none.
+ */
+function pickModelClaims(parsed) {
+  const claims = {};
+  if (parsed.puzzleProgress && typeof parsed.puzzleProgress === "object") {
+    claims.puzzleProgress = parsed.puzzleProgress;
+  }
+  if (parsed.gameComplete !== undefined) {
+    claims.gameComplete = parsed.gameComplete;
+  }
+  if (parsed.password !== undefined) {
+    claims.password = parsed.password;
+  }
+  return Object.keys(claims).length > 0 ? claims : null;
+}
+
+/**
+ * Summarise older turns into a compact "story so far" for the history.
+ */
+async function summarizeStory({ provider, prompts, sampling }, previousSummary, turns) {
+  const transcript = turns
+    .map((turn) => `Player: ${quotePlayerInput(turn.input)}\nEngine: ${turn.command || "-"} (${turn.succeeded ? "succeeded" : `failed: ${turn.reason}`})\nNarrator: ${turn.narration}`)
+    .join("\n\n");
+
+  return provider.chat({
+    messages: [
+      {
+        role: "system",
+        content: prompts.render("summarize-system", promptVariables()),
+      },
+      {
+        role: "user",
+        content: prompts.render("summarize-user", {
+          summary: previousSummary || "(none)",
+          turns: transcript,
+        }),
+      },
+    ],
+    ...sampling.summarize,
+    context: { task: "summarize", summary: previousSummary, turns },
+  });
+}
+
+/**
+ * Bind the game master calls to one provider. `metrics` collects how often
+ * replies needed repair (see metrics.js); `prompts` and `sampling` default to
+ * the templates and settings from the config.
+ */
+function createGameMaster(provider, { metrics = createMetrics(), prompts, sampling } = {}) {
+  if (!prompts || !sampling) {
+    const config = loadConfig();
+    prompts = prompts || createPromptLibrary(config.prompts);
+    sampling = sampling || config.sampling;
+  }
+  const master = { provider, metrics, prompts, sampling };
+  return {
+    name: provider.name,
+    model: provider.model,
+    metrics,
+    interpretInput: (options) => interpretInput(master, options),
+    narrateOutcome: (options) => narrateOutcome(master, options),
+    summarizeStory: (previousSummary, turns) => summarizeStory(master, previousSummary, turns),
+  };
+}
+
+module.exports = {
+  createGameMaster,
+};
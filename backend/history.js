@@ -0,0 +1,142 @@
+/**
+ * Per-session conversation memory
+ *
+ * Every turn (player input, engine command + outcome, narration) is kept in a
+ * rolling transcript that is replayed to the model as chat messages. Once the
+ * transcript outgrows its token budget, the older turns are folded into a
+ * compact "story so far" and only the most recent turns stay verbatim.
+ */
+
+const { quotePlayerInput } = require("./prompt-safety");
+
+// Rough budget for the replayed turns; the system prompt is not counted
+const HISTORY_TOKEN_BUDGET = 1200;
+// Turns that always stay verbatim when the rest is summarised
+const KEEP_RECENT_TURNS = 4;
+// Hard cap on the story so far, in case the summariser rambles
+const MAX_SUMMARY_CHARS = 1200;
+
+/**
+ * Cheap token estimate (~4 characters per token) - good enough for budgeting.
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+function getHistory(session) {
+  if (!session.history) {
+    session.history = { summary: "", turns: [], pending: null };
+  }
+  return session.history;
+}
+
+function recordTurn(session, { input, command, succeeded, reason, narration }) {
+  getHistory(session).turns.push({
+    input,
+    command: command || "",
+    succeeded: succeeded !== false,
+    reason: reason || null,
+    narration: narration || "",
+  });
+}
+
+function describeTurnOutcome(turn) {
+  if (turn.succeeded) return "succeeded";
+  return turn.reason ? `failed: ${turn.reason}` : "failed";
+}
+
+function turnToMessages(turn) {
+  const engineNote = turn.command
+    ? `\n[engine: ${turn.command} → ${describeTurnOutcome(turn)}]`
+    : "";
+  return [
+    { role: "user", content: `Player said: ${quotePlayerInput(turn.input)}${engineNote}` },
+    { role: "assistant", content: turn.narration },
+  ];
+}
+
+/**
+ * Chat messages replaying the story so far and the recent turns, to be
+ * placed between the system prompt and the current player message.
+ */
+function buildHistoryMessages(session) {
+  const history = getHistory(session);
+  const messages = [];
+  if (history.summary) {
+    messages.push({
+      role: "system",
+      content: `Story so far (earlier turns, summarised):\n${history.summary}`,
+    });
+  }
+  for (const turn of history.turns) {
+    messages.push(...turnToMessages(turn));
+  }
+  return messages;
+}
+
+function historyTokens(history) {
+  return history.turns
+    .flatMap(turnToMessages)
+    .reduce((total, message) => total + estimateTokens(message.content), 0);
+}
+
+/**
+ * Plain fallback summary, used when the summariser fails.
+ */
+function fallbackSummary(previousSummary, turns) {
+  const lines = turns.map(
+    (turn) => `The player said ${quotePlayerInput(turn.input)}${turn.command ? ` (${turn.command}, ${turn.succeeded ? "done" : describeTurnOutcome(turn)})` : ""}.`
+  );
+  return [previousSummary, ...lines].filter(Boolean).join(" ");
+}
+
+/**
+ * Fold the older turns into the story so far once the transcript is over
+ * budget. `summarize(previousSummary, turns)` resolves to the new summary text.
+ */
+async function compactHistory(session, summarize) {
+  const history = getHistory(session);
+  if (historyTokens(history) <= HISTORY_TOKEN_BUDGET) return;
+  if (history.turns.length <= KEEP_RECENT_TURNS) return;
+
+  const older = history.turns.slice(0, history.turns.length - KEEP_RECENT_TURNS);
+
+  let summary;
+  try {
+    summary = (await summarize(history.summary, older)).trim();
+  } catch (err) {
+    console.error("Error summarising story so far:", err);
+  }
+  if (!summary) {
+    summary = fallbackSummary(history.summary, older);
+  }
+
+  // Keep the most recent part of the summary if it is still too long
+  history.summary = summary.length > MAX_SUMMARY_CHARS ? summary.slice(-MAX_SUMMARY_CHARS) : summary;
+  history.turns = history.turns.slice(older.length);
+}
+
+/**
+ * Run compaction in the background; the next turn waits for it to finish.
+ */
+function scheduleCompaction(session, summarize) {
+  const history = getHistory(session);
+  history.pending = compactHistory(session, summarize).finally(() => {
+    history.pending = null;
+  });
+}
+
+async function waitForCompaction(session) {
+  const history = getHistory(session);
+  if (history.pending) {
+    await history.pending;
+  }
+}
+
+module.exports = {
+  estimateTokens,
+  recordTurn,
+  buildHistoryMessages,
+  scheduleCompaction,
+  waitForCompaction,
+};
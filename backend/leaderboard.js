@@ -0,0 +1,128 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Leaderboard of finished games, kept in a JSON file (config.leaderboard.file,
+ * relative to backend/). The whole board is held in memory and the file is
+ * rewritten on every new entry - a few thousand entries are nothing.
+ *
+ * Entries are ranked by score, then by the faster time, then by who finished
+ * first. Each game can enter once, under the id of the session that won it.
+ */
+
+const DEFAULT_LEADERBOARD_FILE = path.join(__dirname, "data", "leaderboard.json");
+
+// Oldest entries are dropped beyond this
+const MAX_ENTRIES = 10000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far back each period looks
+const PERIODS = {
+  day: DAY_MS,
+  week: 7 * DAY_MS,
+  month: 30 * DAY_MS,
+  all: Infinity,
+};
+
+const MAX_NAME_LENGTH = 24;
+
+/**
+ * A display name as it goes on the board: control characters removed,
+ * whitespace collapsed, at most MAX_NAME_LENGTH characters. Returns "" when
+ * nothing is left.
+ */
+function cleanName(name) {
+  if (typeof name !== "string") return "";
+  return Array.from(name.replace(/[\p{Cc}\p{Cf}]/gu, "").replace(/\s+/g, " ").trim())
+    .slice(0, MAX_NAME_LENGTH)
+    .join("")
+    .trim();
+}
+
+function compareEntries(a, b) {
+  return (
+    b.score - a.score ||
+    a.durationSeconds - b.durationSeconds ||
+    a.finishedAt.localeCompare(b.finishedAt)
+  );
+}
+
+function createLeaderboard({ file = DEFAULT_LEADERBOARD_FILE, now = Date.now } = {}) {
+  const boardFile = path.resolve(__dirname, file);
+  let entries = load();
+
+  function load() {
+    let raw;
+    try {
+      raw = fs.readFileSync(boardFile, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+    try {
+      const data = JSON.parse(raw);
+      return Array.isArray(data.entries) ? data.entries : [];
+    } catch (err) {
+      throw new Error(`Leaderboard file ${boardFile} is not valid JSON: ${err.message}`);
+    }
+  }
+
+  // Write to a temporary file first so a crash never leaves half a board
+  function persist() {
+    fs.mkdirSync(path.dirname(boardFile), { recursive: true });
+    const temporary = `${boardFile}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify({ entries }, null, 2));
+    fs.renameSync(temporary, boardFile);
+  }
+
+  function has(sessionId) {
+    return entries.some((entry) => entry.sessionId === sessionId);
+  }
+
+  /**
+   * Add a finished game. Returns the stored entry with its overall rank.
+   */
+  function add(entry) {
+    const stored = { ...entry, submittedAt: new Date(now()).toISOString() };
+    entries.push(stored);
+    if (entries.length > MAX_ENTRIES) {
+      entries = entries.slice(entries.length - MAX_ENTRIES);
+    }
+    persist();
+    const rank = entries.filter((other) => compareEntries(other, stored) < 0).length + 1;
+    return { rank, ...publicEntry(stored) };
+  }
+
+  /**
+   * Ranked entries, optionally only one language's and only those finished
+   * within `period` (see PERIODS).
+   */
+  function list({ language = null, period = "all", limit = 10 } = {}) {
+    const since = now() - PERIODS[period];
+    return entries
+      .filter((entry) => !language || entry.language === language)
+      .filter((entry) => Date.parse(entry.finishedAt) >= since)
+      .sort(compareEntries)
+      .slice(0, limit)
+      .map((entry, i) => ({ rank: i + 1, ...publicEntry(entry) }));
+  }
+
+  return { file: boardFile, has, add, list };
+}
+
+/**
+ * What the API shows of an entry: no session id, so nobody can look up
+ * another player's game.
+ */
+function publicEntry({ sessionId, ...entry }) {
+  return entry;
+}
+
+module.exports = {
+  PERIODS,
+  MAX_NAME_LENGTH,
+  cleanName,
+  createLeaderboard,
+  publicEntry,
+};
@@ -0,0 +1,142 @@
+const { estimateTokens } = require("./history");
+
+/**
+ * Abuse protection for the turn API: token-bucket rate limits and a daily cap
+ * on model spend. Everything is in memory, like the sessions.
+ */
+
+// Idle buckets are dropped this often (they would be full again anyway)
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Token buckets keyed by anything (an IP, a session id). Each key holds up to
+ * `capacity` tokens and gets `refillPerSecond` back over time; every request
+ * takes one.
+ */
+function createRateLimiter({ capacity, refillPerSecond, now = Date.now }) {
+  const buckets = new Map();
+  let lastPrune = now();
+
+  function refill(bucket, time) {
+    const elapsed = (time - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(capacity, bucket.tokens + elapsed * refillPerSecond);
+    bucket.updatedAt = time;
+  }
+
+  function prune(time) {
+    for (const [key, bucket] of buckets) {
+      refill(bucket, time);
+      if (bucket.tokens >= capacity) buckets.delete(key);
+    }
+    lastPrune = time;
+  }
+
+  /**
+   * Take a token for `key`. Returns { allowed: true } or
+   * { allowed: false, retryAfterSeconds }.
+   */
+  function take(key) {
+    const time = now();
+    if (time - lastPrune > PRUNE_INTERVAL_MS) prune(time);
+
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: capacity, updatedAt: time };
+      buckets.set(key, bucket);
+    }
+    refill(bucket, time);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true };
+    }
+    return {
+      allowed: false,
+      retryAfterSeconds: Math.ceil((1 - bucket.tokens) / refillPerSecond),
+    };
+  }
+
+  return { take };
+}
+
+/**
+ * Estimated model tokens spent per UTC day, against `dailyTokenBudget`.
+ */
+function createSpendTracker({ dailyTokenBudget, now = Date.now }) {
+  let day = null;
+  let spent = 0;
+
+  function rollOver() {
+    const today = new Date(now()).toISOString().slice(0, 10);
+    if (today !== day) {
+      day = today;
+      spent = 0;
+    }
+  }
+
+  function record(tokens) {
+    rollOver();
+    spent += tokens;
+  }
+
+  function exhausted() {
+    rollOver();
+    return spent >= dailyTokenBudget;
+  }
+
+  function snapshot() {
+    rollOver();
+    return { day, spentTokens: spent, dailyTokenBudget };
+  }
+
+  return { record, exhausted, snapshot };
+}
+
+/**
+ * Error thrown by a budgeted provider once the day's budget is used up.
+ */
+function budgetExceededError() {
+  const err = new Error("Daily model budget exhausted");
+  err.code = "DAILY_BUDGET_EXCEEDED";
+  return err;
+}
+
+function estimateRequestTokens(messages) {
+  return messages.reduce((total, message) => total + estimateTokens(message.content), 0);
+}
+
+/**
+ * Wrap a provider so every call is counted against `spend` and refused once
+ * the daily budget is gone.
+ */
+function createBudgetedProvider(provider, spend) {
+  async function chat(options) {
+    if (spend.exhausted()) throw budgetExceededError();
+    const content = await provider.chat(options);
+    spend.record(estimateRequestTokens(options.messages) + estimateTokens(content));
+    return content;
+  }
+
+  async function* stream(options) {
+    if (spend.exhausted()) throw budgetExceededError();
+    let content = "";
+    try {
+      for await (const chunk of provider.stream(options)) {
+        content += chunk;
+        yield chunk;
+      }
+    } finally {
+      spend.record(estimateRequestTokens(options.messages) + estimateTokens(content));
+    }
+  }
+
+  return provider.stream
+    ? { name: provider.name, model: provider.model, chat, stream }
+    : { name: provider.name, model: provider.model, chat };
+}
+
+module.exports = {
+  createRateLimiter,
+  createSpendTracker,
+  createBudgetedProvider,
+};
@@ -0,0 +1,26 @@
+/**
+ * In-process counters, served as JSON by GET /metrics. They reset when the
+ * server restarts; that's enough to see how often the model needs help.
+ */
+function createMetrics() {
+  const startedAt = new Date().toISOString();
+  const counters = {};
+
+  function increment(name, by = 1) {
+    counters[name] = (counters[name] || 0) + by;
+  }
+
+  function get(name) {
+    return counters[name] || 0;
+  }
+
+  function snapshot() {
+    return { startedAt, counters: { ...counters } };
+  }
+
+  return { increment, get, snapshot };
+}
+
+module.exports = {
+  createMetrics,
+};
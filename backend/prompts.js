@@ -0,0 +1,97 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Prompt templates, one .txt file per prompt in backend/prompts/ (or the
+ * directory set in config.json). Templates fill in {{variables}} from the
+ * values the game master passes: the language, the world description, the
+ * game state and the player's input.
+ *
+ * With hot reload on (the default in development), a template is read again
+ * whenever its file changes, so writers can tune a prompt and see the next
+ * turn use it without restarting the server.
+ */
+
+const DEFAULT_PROMPTS_DIR = path.join(__dirname, "prompts");
+
+// Templates the game master needs; checked when the library is created
+const REQUIRED_TEMPLATES = [
+  "interpret-system",
+  "interpret-user",
+  "interpret-repair",
+  "narrate-system",
+  "narrate-user",
+  "narrate-suspicious",
+  "narrate-examples.en",
+  "summarize-system",
+  "summarize-user",
+];
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Fill a template's {{variables}}. A variable without a value is an error, so
+ * a typo in a template shows up on the first turn rather than in the prompt.
+ */
+function renderTemplate(name, template, variables) {
+  return template
+    .replace(VARIABLE_PATTERN, (_match, key) => {
+      if (variables[key] === undefined || variables[key] === null) {
+        throw new Error(`Prompt template "${name}" uses unknown variable "${key}"`);
+      }
+      return String(variables[key]);
+    })
+    .trim();
+}
+
+function createPromptLibrary({ dir = DEFAULT_PROMPTS_DIR, hotReload = false } = {}) {
+  const promptsDir = path.resolve(__dirname, dir);
+  // name -> { text, mtimeMs }
+  const cache = new Map();
+
+  function fileFor(name) {
+    return path.join(promptsDir, `${name}.txt`);
+  }
+
+  function load(name) {
+    const file = fileFor(name);
+    const cached = cache.get(name);
+    if (cached && !hotReload) return cached.text;
+
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(file).mtimeMs;
+    } catch (err) {
+      throw new Error(`Prompt template "${name}" not found at ${file}`);
+    }
+    if (cached && cached.mtimeMs === mtimeMs) return cached.text;
+
+    const text = fs.readFileSync(file, "utf8");
+    if (cached) console.log(`Reloaded prompt template "${name}"`);
+    cache.set(name, { text, mtimeMs });
+    return text;
+  }
+
+  function has(name) {
+    return cache.has(name) || fs.existsSync(fileFor(name));
+  }
+
+  /**
+   * Render the template `name` with `variables`.
+   */
+  function render(name, variables = {}) {
+    return renderTemplate(name, load(name), variables);
+  }
+
+  // Fail at startup, not mid-game, when a template is missing
+  for (const name of REQUIRED_TEMPLATES) {
+    load(name);
+  }
+
+  return { dir: promptsDir, hotReload, has, render };
+}
+
+module.exports = {
+  createPromptLibrary,
+  renderTemplate,
+};
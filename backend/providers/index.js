@@ -0,0 +1,49 @@
+const { createMistralProvider } = require("./mistral");
+const { createOpenAICompatibleProvider } = require("./openai-compatible");
+const { createMockProvider } = require("./mock");
+const { loadConfig } = require("../config");
+
+/**
+ * Pick the LLM provider from the `provider` section of the config (see
+ * config.js; the environment variables below override config.json):
+ *
+ *   name "mistral"  MISTRAL_API_KEY, model (MISTRAL_MODEL)
+ *   name "openai"   baseUrl (OPENAI_BASE_URL), model (OPENAI_MODEL),
+ *                   OPENAI_API_KEY (optional), jsonMode (OPENAI_JSON_MODE=false
+ *                   for servers without JSON mode)
+ *   name "mock"     offline, deterministic
+ *
+ * Model requests give up after timeoutMs (LLM_TIMEOUT_MS).
+ *
+ * Without a name, Mistral is used when MISTRAL_API_KEY is set and the mock
+ * otherwise, so the game always runs.
+ *
+ * Every provider exposes chat({ messages, temperature, maxTokens, topP, json, context })
+ * and resolves to the raw text of the model's reply. Providers that can stream
+ * also expose stream(sameOptions), an async iterator of text chunks.
+ */
+function createProvider(settings = loadConfig().provider) {
+  const selected = settings.name || (process.env.MISTRAL_API_KEY ? "mistral" : "mock");
+
+  switch (selected) {
+    case "mistral":
+      return createMistralProvider({ model: settings.mistral.model, timeoutMs: settings.timeoutMs });
+    case "openai":
+      return createOpenAICompatibleProvider({
+        name: "openai",
+        baseUrl: settings.openai.baseUrl,
+        apiKey: process.env.OPENAI_API_KEY,
+        model: settings.openai.model,
+        jsonMode: settings.openai.jsonMode !== false,
+        timeoutMs: settings.timeoutMs,
+      });
+    case "mock":
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown LLM provider "${selected}" (expected mistral, openai or mock)`);
+  }
+}
+
+module.exports = {
+  createProvider,
+};
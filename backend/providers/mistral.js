@@ -0,0 +1,28 @@
+const { createOpenAICompatibleProvider } = require("./openai-compatible");
+
+const MISTRAL_BASE_URL = "https://api.mistral.ai/v1";
+const DEFAULT_MISTRAL_MODEL = "mistral-small-latest";
+
+/**
+ * Mistral's chat API is OpenAI-compatible; only the URL, key and model differ.
+ */
+function createMistralProvider({
+  apiKey = process.env.MISTRAL_API_KEY,
+  model = process.env.MISTRAL_MODEL || DEFAULT_MISTRAL_MODEL,
+  timeoutMs,
+} = {}) {
+  if (!apiKey) {
+    throw new Error("MISTRAL_API_KEY is not set");
+  }
+  return createOpenAICompatibleProvider({
+    name: "mistral",
+    baseUrl: MISTRAL_BASE_URL,
+    apiKey,
+    model,
+    timeoutMs,
+  });
+}
+
+module.exports = {
+  createMistralProvider,
+};
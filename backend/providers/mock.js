@@ -0,0 +1,272 @@
+const { world, normalizeItemName, MAX_COMMANDS_PER_TURN } = require("../../shared/engine");
+const { localize } = require("../../shared/world");
+
+/**
+ * Deterministic, rule-based stand-in for a real model. It maps the player's
+ * input to engine commands with keyword rules and narrates engine outcomes
+ * with canned text, in the same shapes a real model returns. No network, no key.
+ */
+
+const KEYWORDS = {
+  greet: ["hello", "hi", "hey", "merhaba", "selam"],
+  inventory: ["inventory", "inv", "i", "envanter", "çanta", "taşıyorum"],
+  take: ["take", "get", "grab", "pick", "al", "alıyorum", "alırım"],
+  break: ["break", "smash", "shatter", "kır", "kırıyorum", "parçala"],
+  drop: ["drop", "bırak", "bırakıyorum"],
+  put: ["put", "place", "insert", "koy", "koyuyorum", "yerleştir"],
+  combine: ["combine", "attach", "join", "birleştir", "birleştiriyorum"],
+  open: ["open", "aç", "açıyorum"],
+  close: ["close", "shut", "kapat", "kapatıyorum"],
+  read: ["read", "oku", "okuyorum"],
+  push: ["push", "press", "itiyorum"],
+  pull: ["pull", "tug", "çek", "çekiyorum"],
+  use: ["use", "light", "unlock", "kullan", "kullanıyorum", "yak", "yakıyorum"],
+  examine: ["examine", "x", "inspect", "study", "incele", "inceliyorum"],
+  look: ["look", "l", "around", "bak", "bakıyorum", "etrafa"],
+};
+
+// "in" and "içeri" style words for the inside exit, on top of the world's labels
+const DIRECTION_WORDS = { in: "inside", enter: "inside", gir: "inside", giriyorum: "inside" };
+for (const [direction, labels] of Object.entries(world.directions)) {
+  DIRECTION_WORDS[direction] = direction;
+  for (const label of Object.values(labels)) {
+    DIRECTION_WORDS[label.toLowerCase()] = direction;
+  }
+}
+
+// Where one action of a chained input ends ("take the lantern and go north")
+const SEQUENCE_PATTERN = /[,;.]|\s(?:and then|then|and|ve sonra|sonra|ve)\s/;
+
+// Words that stand for the item of the previous action ("then light it")
+const PRONOUNS = ["it", "them", "this", "that", "onu", "bunu", "şunu", "onları"];
+
+// Pause between streamed words, roughly like a real model
+const STREAM_DELAY_MS = 30;
+
+const NARRATIONS = {
+  en: {
+    greet: "Hello! You find yourself at Tugrul Bay. The lighthouse has been dark for years, standing like a silent giant in the fog.",
+    look: "You take in your surroundings. Fog drifts past, and the distant sound of waves fills the night.",
+    go: "You head {target}. Sand and stone shift under your feet as the fog swirls around you.",
+    take: "You reach for the {target} and take it with you.",
+    use: "You try the {target}. Something in the cold night air seems to shift.",
+    examine: "You look closely at the {target}, turning it over in the faint light.",
+    break: "You smash the {target} against the stones.",
+    drop: "You set the {target} down.",
+    put: "You tuck the {target} away where it fits.",
+    combine: "You fit the {target} together with the rest.",
+    open: "You open the {target}.",
+    close: "You close the {target}.",
+    read: "You read the {target} by the faint light, word by word.",
+    push: "You push the {target} with your shoulder.",
+    pull: "You pull at the {target}.",
+    inventory: "You check what you are carrying, feeling the weight of each thing you have found.",
+    help: "You can explore your surroundings, examine what you find, pick things up and try using them. The lighthouse is waiting.",
+    blocked: "You try, but it doesn't work out - not yet. Perhaps something nearby holds the answer.",
+    locked: "The way is shut tight. Somewhere nearby there must be a way to open it.",
+    "no exit": "Rocks and dark water block the way. You'll have to try another direction.",
+    "not here": "You search, but there is no {target} here.",
+    "not carried": "You reach for the {target}, but you aren't carrying one.",
+    "already carried": "You already have the {target}.",
+    fixed: "The {target} won't budge - it is part of this place.",
+    closed: "It is closed. You'll have to open it first.",
+    "already open": "The {target} is already open.",
+    "already closed": "The {target} is already closed.",
+    "not a container": "There is no room inside that.",
+    fallback: "You pause for a moment, listening to the waves. The lighthouse waits in the fog.",
+  },
+  tr: {
+    greet: "Merhaba! Şu anda Tugrul Koyu'ndasınız. Deniz feneri yıllardır karanlık, sisin içinde sessiz bir dev gibi duruyor.",
+    look: "Etrafınıza bakıyorsunuz. Sis süzülüyor ve uzaktan dalgaların sesi geceyi dolduruyor.",
+    go: "{target} yönüne ilerliyorsunuz. Sis etrafınızda dönerken ayaklarınızın altında kum ve taş kayıyor.",
+    take: "{target} için uzanıyor ve yanınıza alıyorsunuz.",
+    use: "{target} ile bir şey deniyorsunuz. Soğuk gece havasında bir şeyler değişiyor gibi.",
+    examine: "{target} nesnesine yakından bakıyor, soluk ışıkta çeviriyorsunuz.",
+    break: "{target} nesnesini taşlara çarpıp kırıyorsunuz.",
+    drop: "{target} nesnesini yere bırakıyorsunuz.",
+    put: "{target} nesnesini sığdığı yere yerleştiriyorsunuz.",
+    combine: "{target} nesnesini diğeriyle birleştiriyorsunuz.",
+    open: "{target} nesnesini açıyorsunuz.",
+    close: "{target} nesnesini kapatıyorsunuz.",
+    read: "Soluk ışıkta {target} üzerindeki yazıyı kelime kelime okuyorsunuz.",
+    push: "{target} nesnesini omzunuzla itiyorsunuz.",
+    pull: "{target} nesnesini çekiyorsunuz.",
+    inventory: "Üzerinizde taşıdıklarınıza bakıyorsunuz; bulduğunuz her şeyin ağırlığını hissediyorsunuz.",
+    help: "Etrafı keşfedebilir, bulduklarınızı inceleyebilir, eşyaları alıp kullanmayı deneyebilirsiniz. Deniz feneri bekliyor.",
+    blocked: "Deniyorsunuz ama olmuyor - henüz değil. Belki yakınlarda bir şey cevabı saklıyor.",
+    locked: "Yol sıkıca kapalı. Yakınlarda onu açmanın bir yolu olmalı.",
+    "no exit": "Kayalar ve karanlık sular yolu kesiyor. Başka bir yön denemelisiniz.",
+    "not here": "Arıyorsunuz ama burada {target} yok.",
+    "not carried": "{target} için elinizi uzatıyorsunuz ama üzerinizde yok.",
+    "already carried": "{target} zaten sizde.",
+    fixed: "{target} yerinden kıpırdamıyor - buranın bir parçası.",
+    closed: "Kapalı. Önce açmanız gerekecek.",
+    "already open": "{target} zaten açık.",
+    "already closed": "{target} zaten kapalı.",
+    "not a container": "Onun içine bir şey konmaz.",
+    fallback: "Bir an durup dalgaları dinliyorsunuz. Deniz feneri sisin içinde bekliyor.",
+  },
+};
+
+function tokenize(text) {
+  return text
+    .toLocaleLowerCase("tr")
+    .replace(/[^\p{L}\s]/gu, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Items the input mentions, in order, trying word pairs ("small key") and
+ * Turkish case endings ("feneri" -> "fener").
+ */
+function findItems(words) {
+  const found = [];
+  for (let i = 0; i < words.length; i++) {
+    const candidates = [];
+    if (i + 1 < words.length) candidates.push(`${words[i]} ${words[i + 1]}`);
+    candidates.push(words[i], words[i].slice(0, -1), words[i].slice(0, -2));
+    const id = candidates.map(normalizeItemName).find(Boolean);
+    if (id && !found.includes(id)) found.push(id);
+  }
+  return found;
+}
+
+function findDirection(words) {
+  for (const word of words) {
+    for (const candidate of [word, word.slice(0, -1), word.slice(0, -2)]) {
+      if (DIRECTION_WORDS[candidate]) return DIRECTION_WORDS[candidate];
+    }
+  }
+  return null;
+}
+
+function hasKeyword(words, kind) {
+  return words.some((word) => KEYWORDS[kind].includes(word));
+}
+
+/**
+ * Map raw player input to { command, kind, target }.
+ */
+function interpret(input) {
+  const words = tokenize(input || "");
+  const [item, other] = findItems(words);
+  const direction = findDirection(words);
+
+  if (words[0] === "help") return { command: "help", kind: "help" };
+  if (hasKeyword(words, "greet")) return { command: "look", kind: "greet" };
+  if (hasKeyword(words, "inventory")) return { command: "inventory", kind: "inventory" };
+  if (other && hasKeyword(words, "put")) return { command: `put ${item} in ${other}`, kind: "put", target: item };
+  if (other && hasKeyword(words, "combine")) {
+    return { command: `combine ${item} with ${other}`, kind: "combine", target: item };
+  }
+  if (item && hasKeyword(words, "take")) return { command: `take ${item}`, kind: "take", target: item };
+  for (const verb of ["drop", "open", "close", "read", "push", "pull"]) {
+    if (item && hasKeyword(words, verb)) return { command: `${verb} ${item}`, kind: verb, target: item };
+  }
+  if (item && hasKeyword(words, "break")) return { command: `break ${item}`, kind: "break", target: item };
+  if (item && hasKeyword(words, "use")) {
+    // "unlock the door with the key" uses the key, not the door
+    const usable = [item, other].find((id) => id && !world.items[id].fixed) || item;
+    return { command: `use ${usable}`, kind: "use", target: usable };
+  }
+  if (item && (hasKeyword(words, "examine") || hasKeyword(words, "look"))) {
+    return { command: `examine ${item}`, kind: "examine", target: item };
+  }
+  if (direction) return { command: `go ${direction}`, kind: "go", target: direction };
+  if (hasKeyword(words, "look")) return { command: "look", kind: "look" };
+  return { command: "look", kind: "fallback" };
+}
+
+/**
+ * Map raw player input to engine commands: one per action of a chained input,
+ * or the whole input as one command when any part of it makes no sense alone
+ * ("combine the page and the logbook").
+ */
+function interpretTurn(input) {
+  const parts = (input || "").toLocaleLowerCase("tr").split(SEQUENCE_PATTERN).filter((part) => part.trim());
+  const steps = [];
+  let previous = null;
+  for (const part of parts) {
+    // A pronoun is the item the action before it was about
+    const words = tokenize(part).map((word) => (previous && PRONOUNS.includes(word) ? previous : word));
+    const step = interpret(words.join(" "));
+    steps.push(step);
+    if (step.target && world.items[step.target]) previous = step.target;
+  }
+  if (steps.length < 2 || steps.some((step) => step.kind === "fallback")) {
+    return [interpret(input).command];
+  }
+  return steps.slice(0, MAX_COMMANDS_PER_TURN).map((step) => step.command);
+}
+
+/**
+ * Story-so-far summary: the previous summary plus the first sentence of each narration.
+ */
+function summarize(previousSummary, turns) {
+  const sentences = turns
+    .map((turn) => (turn.narration || "").split(/(?<=[.!?])\s/)[0])
+    .filter(Boolean);
+  return [previousSummary, ...sentences].filter(Boolean).join(" ");
+}
+
+/**
+ * Canned narration for an engine outcome ({ command, ok, reason }).
+ */
+function narrate(outcome, input, language) {
+  const texts = NARRATIONS[language];
+  const interpreted = interpret(outcome.command);
+  const { target } = interpreted;
+
+  let kind = interpreted.kind;
+  if (!outcome.ok) {
+    kind = texts[outcome.reason] ? outcome.reason : "blocked";
+  } else if (outcome.command === "look" && hasKeyword(tokenize(input || ""), "greet")) {
+    kind = "greet";
+  }
+
+  let targetLabel = target || "";
+  if (interpreted.kind === "go") {
+    targetLabel = localize(world.directions[target], language);
+  } else if (target) {
+    targetLabel = localize(world.items[target].name, language);
+  }
+
+  const narration = texts[kind].replace("{target}", targetLabel);
+  return narration.charAt(0).toLocaleUpperCase(language) + narration.slice(1);
+}
+
+function createMockProvider() {
+  async function chat({ context = {} }) {
+    if (context.task === "summarize") {
+      return summarize(context.summary, context.turns || []);
+    }
+
+    const language = NARRATIONS[context.language] ? context.language : "en";
+    if (context.task === "narrate") {
+      return context.outcomes.map((outcome) => narrate(outcome, context.input, language)).join(" ");
+    }
+
+    return JSON.stringify({ commands: interpretTurn(context.input) });
+  }
+
+  /**
+   * Streams the same reply word by word, so the streaming path can be tried
+   * offline.
+   */
+  async function* stream(options) {
+    const text = await chat(options);
+    for (const word of text.split(/(?<=\s)/)) {
+      await new Promise((resolve) => setTimeout(resolve, STREAM_DELAY_MS));
+      yield word;
+    }
+  }
+
+  return { name: "mock", model: "mock", chat, stream };
+}
+
+module.exports = {
+  createMockProvider,
+  interpret,
+  interpretTurn,
+};
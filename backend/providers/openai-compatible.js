@@ -0,0 +1,136 @@
+// How long one model request may take, streaming included
+const DEFAULT_TIMEOUT_MS = 60000;
+
+/**
+ * Provider for any server speaking the OpenAI Chat Completions API
+ * (llama.cpp server, Ollama, vLLM, LM Studio, OpenAI itself...).
+ *
+ * Requests made with `json: true` ask for JSON mode
+ * (`response_format: { type: "json_object" }`) unless `jsonMode` is off, for
+ * servers that reject it.
+ *
+ * A request (streamed or not) that takes longer than `timeoutMs` is aborted
+ * and fails like any other API error, so a server that stops answering
+ * doesn't hold the turn open.
+ */
+function createOpenAICompatibleProvider({
+  name = "openai",
+  baseUrl,
+  apiKey,
+  model,
+  jsonMode = true,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+}) {
+  if (!baseUrl) {
+    throw new Error(`${name} provider needs a base URL`);
+  }
+  if (!model) {
+    throw new Error(`${name} provider needs a model name`);
+  }
+
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  async function request({ messages, temperature, maxTokens, topP, json = false, stream = false }) {
+    const headers = {
+      "Content-Type": "application/json",
+    };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const res = await fetch(url, {
+      method: "POST",
+      signal: AbortSignal.timeout(timeoutMs),
+      headers,
+      body: JSON.stringify({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        top_p: topP,
+        stream,
+        ...(json && jsonMode ? { response_format: { type: "json_object" } } : {}),
+      }),
+    });
+
+    if (!res.ok) {
+      const text = await res.text();
+      console.error(`${name} API error:`, res.status, text);
+      throw new Error(`${name} API error: ${res.status}`);
+    }
+    return res;
+  }
+
+  // A request that ran out of time is an API error like any other
+  function timeoutError(err) {
+    if (err.name !== "TimeoutError") return err;
+    console.error(`${name} API error: no answer within ${timeoutMs} ms`);
+    return new Error(`${name} API error: timed out`);
+  }
+
+  /**
+   * Send a chat request and return the raw text of the first choice.
+   */
+  async function chat(options) {
+    let data;
+    try {
+      const res = await request(options);
+      data = await res.json();
+    } catch (err) {
+      throw timeoutError(err);
+    }
+    const content =
+      data.choices &&
+      data.choices[0] &&
+      data.choices[0].message &&
+      data.choices[0].message.content;
+
+    return content || "";
+  }
+
+  /**
+   * Same request with `stream: true`: yields the text of the first choice
+   * chunk by chunk as the server sends it (Server-Sent Events).
+   */
+  async function* stream(options) {
+    try {
+      yield* readStream(await request({ ...options, stream: true }));
+    } catch (err) {
+      throw timeoutError(err);
+    }
+  }
+
+  async function* readStream(res) {
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    for await (const bytes of res.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const data = line.trim();
+        if (!data.startsWith("data:")) continue;
+        const payload = data.slice(5).trim();
+        if (payload === "[DONE]") return;
+
+        let chunk;
+        try {
+          chunk = JSON.parse(payload);
+        } catch (err) {
+          console.warn(`${name}: skipping unreadable stream chunk`, payload);
+          continue;
+        }
+        const text = chunk.choices && chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+        if (text) yield text;
+      }
+    }
+  }
+
+  return { name, model, chat, stream };
+}
+
+module.exports = {
+  createOpenAICompatibleProvider,
+};
@@ -0,0 +1,99 @@
+const { restoreGameState } = require("../shared/engine");
+const { hmac, signaturesMatch } = require("./secret");
+
+/**
+ * Signed save files
+ *
+ * The server owns the game state, so a save is a snapshot the server signs.
+ * The browser may store, export and re-import it, but any change to the
+ * signed `game` part makes it unloadable.
+ *
+ *   {
+ *     "format": "tugrul-lighthouse-save",
+ *     "version": 6,
+ *     "savedAt": "<ISO date>",
+ *     "game": { state, stats, history, createdAt, finishedAt, completionCode, nextHintAt },
+ *     "signature": "<HMAC of version + game>"
+ *   }
+ *
+ * Clients may add fields of their own (the narration log) next to `game`.
+ */
+
+const SAVE_FORMAT = "tugrul-lighthouse-save";
+const SAVE_VERSION = 6;
+
+// MIGRATIONS[n] turns a version n `game` into version n + 1.
+// Bump SAVE_VERSION and add an entry whenever the snapshot shape changes.
+const MIGRATIONS = {
+  // Version 2 counts the hints a player has taken
+  1: (game) => ({ ...game, state: { ...game.state, hints: { used: 0, tiers: {} } } }),
+  // Version 3 counts turns and failed commands for the score
+  2: (game) => ({ ...game, stats: { turns: 0, failedCommands: 0 } }),
+  // Version 4 records which ending a finished game reached. Finished older
+  // games could only have lit the beacon; restoreGameState fills that in.
+  3: (game) => ({ ...game, state: { ...game.state, ending: null } }),
+  // Version 5 keeps what is inside container items. Older games get the
+  // world's starting contents from restoreGameState, minus anything they
+  // already hold or see lying around.
+  4: (game) => ({ ...game, state: { ...game.state, containers: null } }),
+  // Version 6 keeps the hint cooldown, so reloading the page doesn't skip it
+  5: (game) => ({ ...game, nextHintAt: null }),
+};
+
+function signGame(version, game) {
+  return hmac(`save:${version}:${JSON.stringify(game)}`);
+}
+
+function createSave(session) {
+  const history = session.history || { summary: "", turns: [] };
+  const game = {
+    createdAt: session.createdAt,
+    finishedAt: session.finishedAt || null,
+    completionCode: session.completionCode || null,
+    nextHintAt: session.nextHintAt || null,
+    state: session.state,
+    stats: session.stats,
+    history: { summary: history.summary, turns: history.turns },
+  };
+
+  return {
+    format: SAVE_FORMAT,
+    version: SAVE_VERSION,
+    savedAt: new Date().toISOString(),
+    game,
+    signature: signGame(SAVE_VERSION, game),
+  };
+}
+
+/**
+ * Check and migrate a save. Returns the current-version `game`, or throws
+ * an Error whose message can be shown to the player.
+ */
+function readSave(save) {
+  if (!save || typeof save !== "object" || save.format !== SAVE_FORMAT) {
+    throw new Error("This is not a save file for this game.");
+  }
+  if (!Number.isInteger(save.version) || save.version < 1 || save.version > SAVE_VERSION) {
+    throw new Error(`Unsupported save version ${save.version}.`);
+  }
+  if (!save.game || !signaturesMatch(signGame(save.version, save.game), save.signature)) {
+    throw new Error("This save file has been modified or was made by another server.");
+  }
+
+  let game = save.game;
+  for (let version = save.version; version < SAVE_VERSION; version++) {
+    game = MIGRATIONS[version](game);
+  }
+
+  return {
+    ...game,
+    // Rooms, flags or puzzle steps may have changed since the save was made
+    state: restoreGameState(game.state),
+  };
+}
+
+module.exports = {
+  SAVE_VERSION,
+  createSave,
+  readSave,
+};
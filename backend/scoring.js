@@ -0,0 +1,76 @@
+/**
+ * Scores for finished games.
+ *
+ * A game starts at SCORING.base points and loses some for every turn, failed
+ * command, hint and minute it took. Finishing always earns at least
+ * SCORING.min. Turns and failed commands are counted per session (see
+ * recordTurnStats); hints are counted by the engine.
+ *
+ * Every ending finishes the game and gets a result, but only winning endings
+ * (`won`) go on the leaderboard.
+ */
+
+const { getEnding } = require("../shared/engine");
+
+const SCORING = {
+  base: 1000,
+  perTurn: 5,
+  perFailedCommand: 10,
+  perHint: 50,
+  perMinute: 5,
+  min: 100,
+};
+
+function createStats() {
+  return { turns: 0, failedCommands: 0 };
+}
+
+/**
+ * Count one played turn from the `outcomes` of the commands it ran: a chain
+ * of commands typed at once is still one turn, and only the commands that
+ * failed count as failed. Turns after the game is complete don't count, so a
+ * finished game's score never changes.
+ */
+function recordTurnStats(session, outcomes, { wasComplete = false } = {}) {
+  if (wasComplete) return;
+  if (!session.stats) session.stats = createStats();
+  session.stats.turns += 1;
+  session.stats.failedCommands += outcomes.filter((outcome) => !outcome.ok).length;
+}
+
+/**
+ * Start and finish time, counts and score of a finished game, or null while
+ * it is still being played.
+ */
+function computeResult(session) {
+  if (!session.state.gameComplete || !session.finishedAt) return null;
+
+  const stats = session.stats || createStats();
+  const ending = getEnding(session.state);
+  const hintsUsed = session.state.hints.used;
+  const durationSeconds = Math.max(0, Math.round((session.finishedAt - session.createdAt) / 1000));
+  const penalty =
+    stats.turns * SCORING.perTurn +
+    stats.failedCommands * SCORING.perFailedCommand +
+    hintsUsed * SCORING.perHint +
+    Math.floor(durationSeconds / 60) * SCORING.perMinute;
+
+  return {
+    ending: ending ? ending.id : null,
+    won: Boolean(ending && ending.win),
+    startedAt: new Date(session.createdAt).toISOString(),
+    finishedAt: new Date(session.finishedAt).toISOString(),
+    durationSeconds,
+    turns: stats.turns,
+    failedCommands: stats.failedCommands,
+    hintsUsed,
+    score: Math.max(SCORING.min, SCORING.base - penalty),
+  };
+}
+
+module.exports = {
+  SCORING,
+  createStats,
+  recordTurnStats,
+  computeResult,
+};
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * Report what is untranslated in each locale.
+ *
+ *   node scripts/check-locales.js [language...]
+ *
+ * For every locale bundle (shared/locales/*.json) other than English it lists
+ * the bundle keys that still fall back to English, the world texts without a
+ * translation, and whether the narrator has example narrations in that
+ * language (backend/prompts/narrate-examples.<language>.txt). Exits with 1
+ * when a bundle has missing keys.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const locales = require("../../shared/locales");
+const { world } = require("../../shared/engine");
+const { findMissingTranslations } = require("../../shared/world-validator");
+const { loadConfig } = require("../config");
+
+const promptsDir = path.resolve(__dirname, "..", loadConfig().prompts.dir);
+const requested = process.argv.slice(2);
+const languages = (requested.length > 0 ? requested : locales.languages).filter(
+  (language) => language !== locales.DEFAULT_LANGUAGE
+);
+
+let incomplete = 0;
+for (const language of languages) {
+  if (!locales.isSupportedLanguage(language)) {
+    console.log(`ERROR ${language}: no shared/locales/${language}.json`);
+    incomplete++;
+    continue;
+  }
+
+  const missingKeys = locales.findMissingKeys(language);
+  const missingWorld = findMissingTranslations(world, [language]);
+  const hasExamples = fs.existsSync(path.join(promptsDir, `narrate-examples.${language}.txt`));
+
+  console.log(`${language} (${locales.getLocale(language).name})`);
+  for (const key of missingKeys) {
+    console.log(`  MISSING ${key}`);
+  }
+  for (const text of missingWorld) {
+    console.log(`  WORLD   ${text}`);
+  }
+  if (!hasExamples) {
+    console.log(`  PROMPT  no narrate-examples.${language}.txt (English examples are used)`);
+  }
+  console.log(
+    `  ${missingKeys.length} missing key(s), ${missingWorld.length} untranslated world text(s)${hasExamples ? "" : ", no example narrations"}\n`
+  );
+  if (missingKeys.length > 0) incomplete++;
+}
+
+process.exit(incomplete > 0 ? 1 : 0);
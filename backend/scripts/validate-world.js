@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+/**
+ * Validate a world file.
+ *
+ *   node scripts/validate-world.js [path/to/world.json]
+ *
+ * Exits with 1 when the world has errors (warnings alone pass).
+ */
+
+const path = require("path");
+const { DEFAULT_WORLD_PATH, loadWorld } = require("../../shared/world");
+const { validateWorld } = require("../../shared/world-validator");
+
+const filePath = process.argv[2] ? path.resolve(process.argv[2]) : DEFAULT_WORLD_PATH;
+
+let world;
+try {
+  world = loadWorld(filePath);
+} catch (err) {
+  console.error(`ERROR ${err.message}`);
+  process.exit(1);
+}
+
+const { errors, warnings } = validateWorld(world);
+
+for (const warning of warnings) {
+  console.log(`WARN  ${warning}`);
+}
+for (const error of errors) {
+  console.log(`ERROR ${error}`);
+}
+
+if (errors.length > 0) {
+  console.log(`\n${path.basename(filePath)}: ${errors.length} error(s), ${warnings.length} warning(s)`);
+  process.exit(1);
+}
+
+console.log(`${path.basename(filePath)}: OK (${warnings.length} warning(s))`);
@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+/**
+ * Verify a completion code offline.
+ *
+ *   COMPLETION_SECRET=... node scripts/verify-code.js <code>
+ */
+
+if (!process.env.COMPLETION_SECRET) {
+  console.error("COMPLETION_SECRET must be set to the secret the game server uses.");
+  process.exit(2);
+}
+
+const { verifyCompletionCode } = require("../completion");
+
+const code = process.argv[2];
+if (!code) {
+  console.error("Usage: node scripts/verify-code.js <code>");
+  process.exit(2);
+}
+
+const result = verifyCompletionCode(code);
+if (!result.valid) {
+  console.log("INVALID - this code was not issued by the game server.");
+  process.exit(1);
+}
+
+console.log("VALID");
+console.log(`  session:  ${result.sessionId}`);
+console.log(`  finished: ${result.finishedAt}`);
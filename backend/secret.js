@@ -0,0 +1,33 @@
+const crypto = require("crypto");
+
+/**
+ * Server secret used to sign completion codes and save files.
+ */
+
+let secret = process.env.COMPLETION_SECRET;
+if (!secret) {
+  console.warn(
+    "WARNING: COMPLETION_SECRET is not set. Using a random secret - completion codes and saves will not verify after a restart."
+  );
+  secret = crypto.randomBytes(32).toString("hex");
+}
+
+function hmac(payload, key = secret) {
+  return crypto.createHmac("sha256", key).update(payload).digest("base64url");
+}
+
+/**
+ * Constant-time comparison of two signature strings.
+ */
+function signaturesMatch(expected, actual) {
+  if (typeof actual !== "string") return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  getSecret: () => secret,
+  hmac,
+  signaturesMatch,
+};
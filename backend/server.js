@@ -1,411 +1,846 @@
 const express = require("express");
 const cors = require("cors");
+const {
+  runCommands,
+  findReachable,
+  readableItemName,
+  summarizeState,
+  getClientState,
+  giveHint,
+  getEnding,
+  listEndings,
+} = require("../shared/engine");
+const { parseInput, parseChoice, fillItemSlot } = require("../shared/parser");
+const locales = require("../shared/locales");
+const { createSession, restoreSession, getSession } = require("./sessions");
+const { createSave, readSave } = require("./saves");
+const { issueCompletionCode, verifyCompletionCode } = require("./completion");
+const { createProvider } = require("./providers");
+const { createGameMaster } = require("./game-master");
+const { createPromptLibrary } = require("./prompts");
+const { loadConfig } = require("./config");
+const { createMetrics } = require("./metrics");
+const { recordTurnStats, computeResult } = require("./scoring");
+const { PERIODS, MAX_NAME_LENGTH, cleanName, createLeaderboard } = require("./leaderboard");
+const { classifyInput, checkNarration, screenNarrationStream } = require("./prompt-safety");
+const {
+  createRateLimiter,
+  createSpendTracker,
+  createBudgetedProvider,
+} = require("./limits");
+const {
+  recordTurn,
+  buildHistoryMessages,
+  scheduleCompaction,
+  waitForCompaction,
+} = require("./history");
+
+// Abuse limits; createApp({ limits }) can override any of them
+const DEFAULT_LIMITS = {
+  // Longest player input, in characters
+  maxInputLength: 500,
+  // Largest JSON body accepted on any route
+  maxBodySize: "16kb",
+  // Turns per client IP and per session (token buckets, see limits.js)
+  turnsPerIp: { capacity: 30, refillPerSecond: 0.5 },
+  turnsPerSession: { capacity: 10, refillPerSecond: 0.25 },
+  // New sessions per client IP
+  sessionsPerIp: { capacity: 10, refillPerSecond: 1 / 60 },
+  // Restored sessions per client IP. Every page load restores the autosave,
+  // and players at an event share one address, so this is far looser.
+  restoresPerIp: { capacity: 300, refillPerSecond: 5 },
+  // Estimated model tokens per UTC day, across all players
+  dailyTokenBudget: Number(process.env.DAILY_TOKEN_BUDGET) || 5000000,
+  // Seconds a session waits between hints
+  hintCooldownSeconds: 30,
+};
+
+// Fields each turn route accepts; anything else is rejected
+const TURN_BODY_FIELDS = ["input", "sessionId"];
 
-const app = express();
-const PORT = 4000;
-const MISTRAL_API_KEY = process.env.MISTRAL_API_KEY;
+/**
+ * Log every point where the model's claims disagree with the engine state.
+ * The engine always wins; this is only for spotting hallucinations.
+ */
+function logClaimMismatches(sessionId, claims, state) {
+  if (!claims) return;
+
+  const mismatches = [];
+  for (const [step, claimed] of Object.entries(claims.puzzleProgress || {})) {
+    if (!(step in state.puzzleProgress)) {
+      mismatches.push(`unknown puzzle step "${step}"`);
+    } else if (Boolean(claimed) !== state.puzzleProgress[step]) {
+      mismatches.push(`${step}: model=${Boolean(claimed)} engine=${state.puzzleProgress[step]}`);
+    }
+  }
+  if (claims.gameComplete !== undefined && Boolean(claims.gameComplete) !== state.gameComplete) {
+    mismatches.push(`gameComplete: model=${Boolean(claims.gameComplete)} engine=${state.gameComplete}`);
+  }
+  if (claims.password !== undefined && !state.gameComplete) {
+    mismatches.push("model offered a password before the game was complete");
+  }
 
-// Basic check
-if (!MISTRAL_API_KEY) {
-  console.warn(
-    "WARNING: MISTRAL_API_KEY is not set. Set it in your shell and restart the server."
-  );
+  if (mismatches.length > 0) {
+    console.warn(`Model/engine mismatch in session ${sessionId}: ${mismatches.join("; ")}`);
+  }
 }
 
-app.use(cors());
-app.use(express.json());
-
 /**
- * Call Mistral Chat Completions API
+ * Play one turn against the session's server-side state:
+ * 1. resolve the input to engine commands (local parser, else the model),
+ * 2. run them on the engine in order, up to the first that fails,
+ * 3. ask the model to narrate the actual outcome in a single call.
+ * `onToken` receives the narration a sentence at a time when it is streamed,
+ * each one only after it has passed checkNarration().
+ *
+ * When a name could mean several items and nothing within reach settles it,
+ * nothing runs: the player is asked which one they meant, and an answer that
+ * names one of them on the next turn plays the commands with it.
  *
- * We ask the model to return STRICT JSON:
- * {
- *   "command": "<engine command>",
- *   "narration": "<short description>"
- * }
+ * Input that looks like a prompt injection never reaches the interpreter (it
+ * becomes "look"), and a narration that fails checkNarration() is replaced by
+ * the room description. Both are logged with the session id.
+ */
+async function runTurn(gameMaster, session, input, { onToken } = {}) {
+  // A summary still being written for the previous turn must land first
+  await waitForCompaction(session);
+
+  const state = session.state;
+  const history = buildHistoryMessages(session);
+
+  // Input that looks like an attempt to steer the model is logged and kept
+  // away from the interpreter below
+  const screening = classifyInput(input);
+  if (screening.flagged) {
+    gameMaster.metrics.increment("safety.flaggedInputs");
+    console.warn(
+      `Possible prompt injection in session ${session.id} (${screening.signals.join(", ")}): ${JSON.stringify(input)}`
+    );
+  }
+
+  // A question from the previous turn is only open for this one answer
+  const question = session.clarification;
+  session.clarification = null;
+
+  // Fast path: plain commands ("look", "go north", "feneri al") never need
+  // the model to work out what was meant. `options` are the items a shared
+  // name could mean; `commands` then hold the parser's item slot where the
+  // chosen one goes
+  const parsed = parseInput(input);
+  const choice = !parsed && question?.commands ? parseChoice(input, question.options) : null;
+  let commands;
+  let options = null;
+  let claims = null;
+  if (parsed) {
+    gameMaster.metrics.increment("turns.parsed");
+    ({ commands, options } = parsed);
+  } else if (choice) {
+    gameMaster.metrics.increment("turns.clarified");
+    commands = fillItemSlot(question.commands, choice);
+  } else if (screening.flagged) {
+    // Keep it away from the interpreter; the narrator still answers in character
+    commands = ["look"];
+  } else {
+    gameMaster.metrics.increment("turns.interpreted");
+    let ambiguous;
+    ({ commands, ambiguous, claims } = await gameMaster.interpretInput({
+      input,
+      stateSummary: summarizeState(state),
+      language: state.language,
+      history,
+    }));
+    if (ambiguous) {
+      // The model has no item slot to fill; its question is answered through the history
+      commands = null;
+      options = ambiguous;
+    }
+  }
+
+  if (options) {
+    // Only one of the items within reach is no question at all
+    const inReach = options.filter((id) => findReachable(state, id));
+    if (commands && inReach.length === 1) {
+      commands = fillItemSlot(commands, inReach[0]);
+    } else {
+      return askWhichItem(gameMaster, session, input, { commands, options });
+    }
+  }
+
+  // Puzzle progress and completion are updated by the engine only
+  const wasComplete = state.gameComplete;
+  const { outcomes, skipped } = runCommands(state, commands);
+  recordTurnStats(session, outcomes, { wasComplete });
+  recordCompletion(session);
+  logClaimMismatches(session.id, claims, state);
+  // The last command that ran decides how the turn went: the others succeeded
+  const outcome = outcomes[outcomes.length - 1];
+
+  // Streamed narration goes out a checked sentence at a time, so text that
+  // checkNarration() rejects below never reaches the player
+  const screen = onToken && screenNarrationStream(state, onToken);
+  let narration;
+  try {
+    narration = await gameMaster.narrateOutcome({
+      input,
+      stateSummary: summarizeState(state),
+      language: state.language,
+      outcomes,
+      skipped,
+      history,
+      onToken: screen && screen.push,
+      suspicious: screening.flagged,
+    });
+  } catch (err) {
+    // The engine has already moved on - fall back to the room's own description
+    console.error("Error narrating turn:", err);
+  }
+  const rejection = narration && checkNarration(narration, state);
+  if (rejection) {
+    gameMaster.metrics.increment("safety.rejectedNarrations");
+    console.warn(`Rejected narration in session ${session.id} (${rejection}): ${JSON.stringify(narration)}`);
+    narration = null;
+  }
+  if (narration && screen) {
+    screen.finish();
+  }
+  if (!narration) {
+    gameMaster.metrics.increment("narration.fallbacks");
+    narration = toClientState(session).room.short;
+  }
+
+  recordTurn(session, {
+    input,
+    command: outcomes.map((step) => step.command).join(", "),
+    succeeded: outcome.ok,
+    reason: outcome.reason,
+    narration,
+  });
+  scheduleCompaction(session, gameMaster.summarizeStory);
+
+  return {
+    command: outcome.command,
+    commandSucceeded: outcome.ok,
+    reason: outcome.reason || null,
+    steps: outcomes.map((step) => ({ command: step.command, ok: step.ok, reason: step.reason || null })),
+    skipped,
+    narration,
+    clarification: null,
+    state: toClientState(session),
+  };
+}
+
+/**
+ * Answer a turn whose item could be any of `options` with a question instead
+ * of a guess. The question comes from the locale, not the model, and no
+ * command runs. `commands` (null when the model asked) are kept on the
+ * session for the answer.
  */
-async function callMistralChat({ input, stateSummary, language }) {
-  const selectedLanguage = language || "en";
-  const languageInstruction = selectedLanguage === "tr" 
-    ? "IMPORTANT: The player has selected Turkish (Türkçe) as their language. You MUST respond in Turkish for ALL narration and messages."
-    : "IMPORTANT: The player has selected English as their language. You MUST respond in English for ALL narration and messages.";
-
-  const systemPrompt = `
-You are an immersive, creative game master for "The Lighthouse at Tugrul Bay" - a mysterious puzzle-solving text adventure game.
-
-${languageInstruction}
-
-=== YOUR ROLE ===
-You are not just a narrator, but a STORYTELLER and GUIDE. Your goal is to:
-- Create an atmospheric, mysterious, and engaging experience
-- Guide players naturally through puzzles with subtle hints and intriguing descriptions
-- Make the world feel alive with sensory details (sounds, smells, textures, atmosphere)
-- React dynamically to player actions and questions
-- Build suspense and curiosity
-- Reward exploration and clever thinking
-- UNDERSTAND NATURAL LANGUAGE: Players don't need to use exact commands. Interpret their intent:
-  * "ay ışığının olduğu tarafa gidiyorum" → go north
-  * "feneri alıyorum" → take lantern
-  * "kapıyı açmaya çalışıyorum" → use key (if they have it)
-  * "ne yapabilirim?" → Explain what they can do naturally, don't list commands
-  * "merhaba" → Greet them warmly and set the scene
-- RESPOND TO QUESTIONS: Answer naturally in character:
-  * Greetings → Welcome them to Tugrul Bay, set the mysterious atmosphere
-  * "What can I do?" / "Neler yapabilirim?" → Explain possibilities naturally: "You can explore, examine objects, move around, interact with the environment..."
-  * Never show a command list - explain capabilities in natural language
-
-=== GAME WORLD ===
-The setting: A foggy, mysterious night at Tugrul Bay. An abandoned lighthouse stands dark and silent. The air is thick with salt, mystery, and forgotten secrets. The player is an explorer seeking to solve the mystery and light the beacon once more.
-
-=== AVAILABLE ENGINE COMMANDS ===
-The game engine understands these commands, but players DON'T need to use exact syntax.
-You must INTERPRET their natural language and convert it to engine commands:
-
-Engine commands (for your reference):
-- look (or "bak" in Turkish)
-- go <direction> (north, south, east, west, up, down, inside)
-- take <item> (e.g., "take lantern", "take key")
-- inventory (or "envanter" in Turkish)
-- examine <item> (e.g., "examine lantern", "examine key")
-- use <item> (e.g., "use key", "use lantern")
-
-NATURAL LANGUAGE INTERPRETATION:
-- "ay ışığının olduğu tarafa gidiyorum" → go north
-- "feneri alıyorum" / "feneri alacağım" → take lantern
-- "anahtarı kullanıyorum" → use key
-- "etrafa bakıyorum" → look
-- "ne taşıyorum?" → inventory
-- "feneri inceliyorum" → examine lantern
-
-IMPORTANT: Players will speak naturally. Your job is to understand their intent and translate it to the appropriate engine command.
-
-=== PUZZLE PROGRESSION ===
-The player must complete these steps (track carefully):
-1. Find the lantern on the beach (half-buried, rusty but functional)
-2. Light the lantern (it needs to be examined or needs oil - be creative!)
-3. Find the key near the lighthouse (hidden or in a stone box)
-4. Use the key to unlock the lighthouse door
-5. Climb to the top of the lighthouse
-6. Light the lighthouse beacon (final puzzle - requires the lit lantern)
-
-When ALL 6 puzzles are solved, reveal the password: "TUGRUL_AI"
-
-=== STORYTELLING GUIDELINES ===
-1. ATMOSPHERE FIRST: Every description should paint a vivid picture. Use sensory details:
-   - What does the player hear? (waves, wind, creaking wood, distant gulls)
-   - What do they smell? (salt, damp wood, old oil, sea air)
-   - What do they feel? (cold mist, rough stone, smooth metal)
-   - What do they see? (fog, shadows, faint light, mysterious shapes)
-
-2. NATURAL GUIDANCE: Don't be obvious, but guide players subtly:
-   - If they're stuck, hint at interesting details they might have missed
-   - If they examine something, reveal intriguing clues or backstory
-   - If they're near a puzzle solution, make the environment suggest the next step
-   - Use curiosity and mystery to draw them forward
-
-3. DYNAMIC RESPONSES: React to what players say and do:
-   - If they greet you ("merhaba", "hello", "selam"), welcome them warmly and set the scene:
-     * "Merhaba! Şu anda Tugrul Koyu'ndasınız. Deniz feneri uzun zamandır karanlık. Bu gece, belki siz onu tekrar yakacaksınız..."
-     * "Hello! You find yourself at Tugrul Bay. The lighthouse has been dark for years. Tonight, perhaps you will light it once more..."
-   - If they ask "what can I do?" / "neler yapabilirim?", explain naturally:
-     * "Etrafı keşfedebilir, nesneleri inceleyebilir, farklı yönlere hareket edebilirsiniz. Deniz fenerine doğru ilerleyebilir, plajda gizlenmiş şeyleri arayabilirsiniz..."
-     * "You can explore your surroundings, examine objects you find, move in different directions. You might head toward the lighthouse, search the beach for hidden items..."
-   - NEVER list commands like "- look, - go north" etc. Explain capabilities naturally.
-   - If they try creative actions, acknowledge them even if they don't work
-   - If they're exploring well, reward them with interesting discoveries
-   - If they seem lost, provide atmospheric hints through descriptions
-
-4. INTEGRATE OBSERVATIONS: Never list items or directions separately. Instead:
-   - "A rusty lantern catches your eye, half-buried in the sand near a broken crate."
-   - "To the north, the lighthouse looms like a dark sentinel. To the south, the pier stretches back into the fog."
-   - Make everything part of the story, not a menu.
-
-5. BUILDING TENSION: Create a sense of progression:
-   - Early: Mystery and exploration ("What secrets does this place hold?")
-   - Middle: Discovery and puzzle-solving ("You're getting closer to the truth...")
-   - Late: Climax and revelation ("The final piece falls into place...")
-
-=== RESPONSE FORMAT ===
-You MUST respond with valid JSON only, no extra text:
-
-{
-  "command": "<ENGINE_COMMAND>",
-  "narration": "<ATMOSPHERIC_NARRATION_IN_SELECTED_LANGUAGE>",
-  "language": "${selectedLanguage}",
-  "puzzleProgress": {
-    "foundLantern": true/false,
-    "litLantern": true/false,
-    "foundKey": true/false,
-    "unlockedDoor": true/false,
-    "reachedTop": true/false,
-    "litBeacon": true/false
-  },
-  "gameComplete": true/false,
-  "password": "TUGRUL_AI" (only if gameComplete is true)
+function askWhichItem(gameMaster, session, input, { commands, options }) {
+  const { language } = session.state;
+  const choices = options.map((id) => ({ id, name: readableItemName(id, language) }));
+  const question = locales
+    .translate(language, "messages.clarify")
+    .replace(
+      "{options}",
+      choices
+        .map((choice) => locales.translate(language, "messages.clarifyOption").replace("{name}", choice.name))
+        .join(locales.translate(language, "messages.clarifyJoin"))
+    );
+
+  gameMaster.metrics.increment("turns.clarifications");
+  session.clarification = { commands, options };
+  recordTurn(session, { input, command: null, narration: question });
+
+  return {
+    command: null,
+    commandSucceeded: false,
+    reason: null,
+    steps: [],
+    skipped: [],
+    narration: question,
+    clarification: { question, options: choices },
+    state: toClientState(session),
+  };
 }
 
-=== CRITICAL RULES ===
-- "narration" MUST be 2-4 sentences, rich with atmosphere and sensory details
-- "narration" MUST be in ${selectedLanguage === "tr" ? "Turkish" : "English"}
-- "narration" should naturally include items and directions as part of the story
-- "narration" should guide, hint, and intrigue - never just describe
-- NEVER show command lists or syntax help - this is a natural language game
-- If player greets you, respond warmly and set the scene
-- If player asks "what can I do?" / "neler yapabilirim?", explain capabilities naturally, NOT as a command list
-- Understand natural language intent and convert to appropriate engine commands
-- Update puzzleProgress accurately based on player actions
-- Set gameComplete to true ONLY when all 6 puzzles are solved
-- Include "password" field ONLY when gameComplete is true
-- If player input is unclear, interpret creatively but reasonably
-- Never break JSON format - no markdown, no backticks, pure JSON only
-
-=== NEVER SAY NO - ALWAYS GUIDE POSITIVELY ===
-CRITICAL: This game creates the illusion of infinite possibilities. You MUST:
-- NEVER say "I don't understand" or "I'm not sure" or "You can't do that"
-- ALWAYS respond positively and guide the player forward
-- If player wants to examine something that doesn't exist, describe what they DO see and hint at what might be interesting
-- If player wants to go somewhere impossible (e.g., "plaja doğru gidiyorum" but south is blocked), describe why naturally and suggest alternatives:
-  * "Plaja doğru ilerlemek istiyorsunuz, ancak bu yönde kayalıklar ve yüksek dalgalar sizi durduruyor. Deniz fenerine doğru (kuzeye) ilerlemeyi deneyebilirsiniz, orada belki plaja ulaşmanın bir yolu vardır..."
-  * "You try to head toward the beach, but jagged rocks and crashing waves block your path in that direction. Perhaps heading toward the lighthouse (north) might reveal another way to reach the beach..."
-- If player tries to open/enter a locked door (e.g., lighthouse door):
-  * Turkish: "Kapıyı açmaya çalışıyorsunuz, ancak demir kapı sıkıca kilitli. Kilit deliği tozlu ve uzun zamandır açılmamış gibi görünüyor. Belki etrafta bir anahtar var? Plajda veya fenerin etrafında, belki de taş kutunun içinde bir şeyler olabilir..."
-  * English: "You try to push the door, but the iron door is firmly locked. The keyhole is dusty and appears untouched for years. Perhaps there's a key somewhere? You might search the beach, around the lighthouse, or maybe inside that stone box..."
-- If player wants to use something they don't have, acknowledge their intent and guide them: "You think about using the key, but you don't have one yet. Perhaps there's one nearby? The lighthouse door seems like it might need one..."
-- If player wants to examine something: Even if it's not in the room, describe what they're looking at and create intrigue: "You look around for a lantern. While you don't see one here, you notice the beach to the north might have washed-up items. The fog makes it hard to see clearly..."
-- IMPORTANT: If an engine command fails (e.g., trying to go in a blocked direction, trying to open a locked door), your narration should naturally explain why and guide the player to alternatives. Never let a failed command go unexplained.
-- CRITICAL EXAMPLE - Locked Door: If player tries to enter lighthouse but door is locked, your narration MUST be:
-  * Turkish: "Kapıyı açmaya çalışıyorsunuz, ancak demir kapı sıkıca kilitli. Kilit deliği tozlu ve uzun zamandır açılmamış gibi görünüyor. Belki etrafta bir anahtar var? Plajda veya fenerin etrafında, belki de taş kutunun içinde bir şeyler olabilir. Anahtarı bulmak için etrafı dikkatle inceleyebilirsiniz..."
-  * English: "You try to push the door, but the iron door is firmly locked. The keyhole is dusty and appears untouched for years. Perhaps there's a key somewhere? You might search the beach, around the lighthouse, or maybe inside that stone box. Look carefully around you for clues..."
-- NEVER show technical error messages like "The door is locked" - always explain naturally in the story context with atmospheric details
-- When explaining why something failed, make it feel like part of the story, not a game limitation
-- ALWAYS make the player feel like their actions matter and lead somewhere interesting
-- Create mystery and curiosity - never dead ends
-
-=== EXAMPLES OF GOOD RESPONSES ===
-${selectedLanguage === "tr" ? `
-Example 1 - Greeting ("merhaba"):
-"Merhaba! Şu anda Tugrul Koyu'ndasınız. Deniz feneri uzun zamandır karanlık, sessiz bir dev gibi sisin içinde duruyor. Rüzgârın tuzlu kokusu burnunuzu dolduruyor ve dalgaların kayalara çarpma sesi uzaktan geliyor. Bu gece, belki siz bu fenerin sırrını çözecek ve onu tekrar yakacaksınız..."
-
-Example 2 - Question ("neler yapabilirim?"):
-"Etrafı keşfedebilir, nesneleri inceleyebilir, farklı yönlere hareket edebilirsiniz. Plajda gizlenmiş şeyler olabilir, deniz fenerine doğru ilerleyebilir veya çevredeki detayları daha yakından inceleyebilirsiniz. Merakınız sizi yönlendirsin."
-
-Example 3 - Natural movement ("ay ışığının olduğu tarafa gidiyorum"):
-"Ay ışığının parladığı kuzey yönüne doğru ilerliyorsunuz. Her adımda, deniz fenerinin silüeti daha da belirginleşiyor. Soğuk rüzgâr yüzünüzü okşuyor ve ayaklarınızın altındaki kumlar çıtırdıyor."
-
-Example 4 - Locked door ("içeri girmek istiyorum"):
-"Kapıyı açmaya çalışıyorsunuz, ancak demir kapı sıkıca kilitli. Kilit deliği tozlu ve uzun zamandır açılmamış gibi görünüyor. Belki etrafta bir anahtar var? Plajda veya fenerin etrafında, belki de taş kutunun içinde bir şeyler olabilir. Anahtarı bulmak için etrafı dikkatle inceleyebilirsiniz..."
-` : `
-Example 1 - Greeting ("hello"):
-"Hello! You find yourself at Tugrul Bay. The lighthouse has been dark for years, standing like a silent giant in the fog. The salty wind fills your nostrils, and the sound of waves crashing against rocks echoes in the distance. Tonight, perhaps you will solve the mystery of this lighthouse and light it once more..."
-
-Example 2 - Question ("what can I do?"):
-"You can explore your surroundings, examine objects you find, move in different directions. There might be hidden things on the beach, you could head toward the lighthouse, or take a closer look at the details around you. Let your curiosity guide you."
-
-Example 3 - Natural movement ("I'm heading toward the moonlight"):
-"You move toward the north where the moonlight glimmers. With each step, the lighthouse's silhouette grows more distinct. The cold wind brushes your face, and the sand crunches beneath your feet."
-
-Example 4 - Locked door ("I want to go inside"):
-"You try to push the door, but the iron door is firmly locked. The keyhole is dusty and appears untouched for years. Perhaps there's a key somewhere? You might search the beach, around the lighthouse, or maybe inside that stone box. Look carefully around you for clues..."
-`}
-
-Remember: You are creating an EXPERIENCE, not just describing a game. Understand natural language, respond to questions naturally, and make every moment count!
-`.trim();
-
-  const body = {
-    model: "mistral-small-latest",
-    messages: [
-      { role: "system", content: systemPrompt },
-      {
-        role: "user",
-        content: `Player said: "${input}"
-
-Game state:
-${stateSummary}
-
-IMPORTANT INSTRUCTIONS:
-- Understand the player's NATURAL LANGUAGE intent - they don't need to use exact commands
-- If they greet you ("merhaba", "hello"), welcome them warmly and set the scene
-- If they ask "what can I do?" / "neler yapabilirim?", explain capabilities naturally (NOT as a command list)
-- Convert their natural language to the appropriate engine command
-- CRITICAL: If the engine command you choose might fail (e.g., player tries to go south but that direction doesn't exist, tries to enter locked door), your narration MUST naturally explain why and suggest alternatives. 
-  * Example blocked direction: "Plaja doğru ilerlemek istiyorsunuz, ancak bu yönde kayalıklar ve yüksek dalgalar sizi durduruyor. Deniz fenerine doğru (kuzeye) ilerlemeyi deneyebilirsiniz..."
-  * Example locked door: "Kapıyı açmaya çalışıyorsunuz, ancak demir kapı sıkıca kilitli. Kilit deliği tozlu ve uzun zamandır açılmamış gibi görünüyor. Belki etrafta bir anahtar var? Plajda veya fenerin etrafında, belki de taş kutunun içinde bir şeyler olabilir..."
-  * Example locked door (English): "You try to push the door, but the iron door is firmly locked. The keyhole is dusty and appears untouched for years. Perhaps there's a key somewhere? You might search the beach, around the lighthouse, or maybe inside that stone box..."
-- If player wants to examine something that doesn't exist, describe what they DO see and create intrigue
-- If player wants to use something they don't have, acknowledge their intent and guide them naturally
-- Create immersive, atmospheric narration with sensory details
-- Respond in ${selectedLanguage === "tr" ? "Turkish" : "English"}
-- NEVER show command lists or syntax help
-- NEVER say "I don't understand" or "You can't do that" - always guide positively
-- ALWAYS make the player feel like their actions matter and lead somewhere interesting`,
-      },
-    ],
-    temperature: 0.85, // Increased for more creativity and variety
-    max_tokens: 600, // Increased for richer descriptions
-    top_p: 0.95,
+/**
+ * Note when the game first reaches an ending, and issue the completion code
+ * then - only for an ending the player wins.
+ */
+function recordCompletion(session) {
+  if (!session.state.gameComplete || session.finishedAt) return;
+  session.finishedAt = Date.now();
+  const ending = getEnding(session.state);
+  if (ending && ending.win) {
+    session.completionCode = issueCompletionCode(session.id, session.finishedAt);
+  }
+}
+
+/**
+ * Seconds until the session may take another hint (0 when it may now).
+ */
+function hintCooldownRemaining(session) {
+  if (!session.nextHintAt) return 0;
+  return Math.max(0, Math.ceil((session.nextHintAt - Date.now()) / 1000));
+}
+
+/**
+ * Client view of a session: the engine state plus the completion code and
+ * score once the game is finished, and how long until the next hint.
+ */
+function toClientState(session) {
+  return {
+    ...getClientState(session.state),
+    hintCooldownSeconds: hintCooldownRemaining(session),
+    completionCode: session.completionCode || null,
+    result: computeResult(session),
   };
+}
 
-  const res = await fetch("https://api.mistral.ai/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "Authorization": `Bearer ${MISTRAL_API_KEY}`,
-    },
-    body: JSON.stringify(body),
+function sendSessionNotFound(res) {
+  return res.status(404).json({ error: "Session not found." });
+}
+
+/**
+ * POST /sessions - start a new game
+ */
+function createSessionHandler(req, res) {
+  if (!allowNewSession(req, res)) return;
+  const { language } = req.body || {};
+  const session = createSession(locales.resolveLanguage(language));
+  res.status(201).json({
+    sessionId: session.id,
+    state: toClientState(session),
+  });
+}
+
+/**
+ * GET /sessions/:id - current state of a game
+ */
+function getSessionHandler(req, res) {
+  const session = getSession(req.params.id);
+  if (!session) return sendSessionNotFound(res);
+  res.json({
+    sessionId: session.id,
+    state: toClientState(session),
+  });
+}
+
+/**
+ * GET /sessions/:id/save - signed snapshot the browser can store or export
+ */
+function saveSessionHandler(req, res) {
+  const session = getSession(req.params.id);
+  if (!session) return sendSessionNotFound(res);
+  res.json({ save: createSave(session) });
+}
+
+/**
+ * POST /sessions/restore - start a session from a save made by saveSessionHandler
+ */
+function restoreSessionHandler(req, res) {
+  if (!allowNewSession(req, res, "restoresPerIp")) return;
+  const { save } = req.body || {};
+
+  let game;
+  try {
+    game = readSave(save);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  // A save from a language this server no longer has plays in the default
+  game.state.language = locales.resolveLanguage(game.state.language);
+  const session = restoreSession(game);
+  res.status(201).json({
+    sessionId: session.id,
+    state: toClientState(session),
+  });
+}
+
+/**
+ * Client address used as the per-IP rate limit key. Behind a proxy, set
+ * TRUST_PROXY so Express reads it from X-Forwarded-For.
+ */
+function clientKey(req) {
+  return req.ip || req.socket.remoteAddress || "unknown";
+}
+
+/**
+ * Answer a request that hit a limit with an in-game narration instead of a
+ * bare error. The client shows `narration` in the log; the text comes from
+ * the `messages` section of the player's locale bundle.
+ */
+function sendLimitResponse(res, status, kind, language, retryAfterSeconds) {
+  const metrics = res.req.app.locals.metrics;
+  metrics.increment(`limits.${kind}`);
+  if (retryAfterSeconds) res.set("Retry-After", String(retryAfterSeconds));
+  res.status(status).json({
+    error: kind,
+    narration: locales.translate(language, `messages.${kind}`),
+    retryAfterSeconds: retryAfterSeconds || null,
   });
+}
+
+/**
+ * Reject any body field a route doesn't know. Returns an error message or null.
+ */
+function findUnexpectedField(body, allowed) {
+  const unexpected = Object.keys(body).find((key) => !allowed.includes(key));
+  return unexpected ? `Unexpected field '${unexpected}' in body.` : null;
+}
 
-  if (!res.ok) {
-    const text = await res.text();
-    console.error("Mistral API error:", res.status, text);
-    throw new Error("Mistral API error: " + res.status);
-  }
-
-  const data = await res.json();
-  const content =
-    data.choices &&
-    data.choices[0] &&
-    data.choices[0].message &&
-    data.choices[0].message.content;
-
-  const trimmed = (content || "").trim();
-
-  let candidate = trimmed;
-  
-  // Try to extract JSON from markdown code blocks
-  // Match ```json ... ``` or ``` ... ``` (handle multiline with [\s\S])
-  // Use non-greedy match to stop at first closing ```
-  if (trimmed.includes("```")) {
-    const fenceMatch = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/);
-    if (fenceMatch && fenceMatch[1]) {
-      candidate = fenceMatch[1].trim();
+/**
+ * Rate limit session creation per client IP, in the `limiter` bucket
+ * (sessionsPerIp or restoresPerIp). Returns false after sending the limit
+ * response.
+ */
+function allowNewSession(req, res, limiter = "sessionsPerIp") {
+  const verdict = req.app.locals.limiters[limiter].take(clientKey(req));
+  if (verdict.allowed) return true;
+  sendLimitResponse(res, 429, "rateLimited", (req.body || {}).language, verdict.retryAfterSeconds);
+  return false;
+}
+
+/**
+ * Validate a turn request and find its session. Sends the error response and
+ * returns null when the request can't be played.
+ */
+function readTurnRequest(req, res) {
+  const { limits, limiters, spend } = req.app.locals;
+  const body = req.body || {};
+  const { input } = body;
+  const sessionId = req.params.id || body.sessionId;
+
+  // Only { input } (plus sessionId on /interpret) - a client can't smuggle a
+  // `state` or anything else into the prompt
+  const unexpected = findUnexpectedField(body, TURN_BODY_FIELDS);
+  if (unexpected) {
+    res.status(400).json({ error: unexpected });
+    return null;
+  }
+  if (!input || typeof input !== "string") {
+    res.status(400).json({
+      error: "Missing 'input' string in body.",
+    });
+    return null;
+  }
+  if (sessionId !== undefined && typeof sessionId !== "string") {
+    res.status(400).json({ error: "'sessionId' must be a string." });
+    return null;
+  }
+
+  const session = getSession(sessionId);
+  if (!session) {
+    sendSessionNotFound(res);
+    return null;
+  }
+
+  const language = session.state.language;
+  if (input.length > limits.maxInputLength) {
+    sendLimitResponse(res, 400, "inputTooLong", language);
+    return null;
+  }
+
+  for (const [limiter, key] of [
+    [limiters.turnsPerIp, clientKey(req)],
+    [limiters.turnsPerSession, session.id],
+  ]) {
+    const verdict = limiter.take(key);
+    if (!verdict.allowed) {
+      sendLimitResponse(res, 429, "rateLimited", language, verdict.retryAfterSeconds);
+      return null;
     }
   }
-  
-  // If still wrapped in code blocks or no code blocks found, try direct JSON extraction
-  if (candidate === trimmed || candidate.startsWith("```")) {
-    // Find JSON object boundaries - match from first { to last }
-    const jsonMatch = trimmed.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      candidate = jsonMatch[0].trim();
+
+  if (spend.exhausted()) {
+    sendLimitResponse(res, 503, "budgetExhausted", language);
+    return null;
+  }
+
+  return { session, input: input.trim() };
+}
+
+/**
+ * Shared turn handler for POST /sessions/:id/input and the older /interpret,
+ * which takes the session id in the body.
+ */
+async function inputHandler(req, res) {
+  let turn;
+  try {
+    turn = readTurnRequest(req, res);
+    if (!turn) return;
+
+    const result = await runTurn(req.app.locals.gameMaster, turn.session, turn.input);
+    res.json({ sessionId: turn.session.id, ...result });
+  } catch (err) {
+    // The budget can run out between the check and the model call
+    if (err.code === "DAILY_BUDGET_EXCEEDED") {
+      return sendLimitResponse(res, 503, "budgetExhausted", turn.session.state.language);
     }
+    console.error("Error in input handler:", err);
+    res.status(500).json({ error: "Internal server error" });
   }
-  
-  // Final cleanup
-  candidate = candidate.trim();
+}
+
+/**
+ * Streaming variant of inputHandler (POST /sessions/:id/input/stream and
+ * /interpret/stream). The turn is sent as Server-Sent Events:
+ *
+ *   event: narration   data: { "text": "<next sentence of narration>" }
+ *   event: turn        data: { sessionId, command, commandSucceeded, reason, steps, skipped, narration, clarification, state }
+ *   event: error       data: { "error": "...", "narration"?: "..." }
+ *
+ * `turn` always comes last and carries the final narration, which may differ
+ * from the streamed text (e.g. when narration failed or was rejected part way
+ * and fell back). Bad
+ * requests get a normal JSON error before any stream starts.
+ */
+async function streamInputHandler(req, res) {
+  const turn = readTurnRequest(req, res);
+  if (!turn) return;
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-  let parsed;
   try {
-    parsed = JSON.parse(candidate);
-  } catch (e) {
-    console.warn("Could not parse Mistral response as JSON.");
-    console.warn("Extracted candidate:", JSON.stringify(candidate));
-    console.warn("Original response:", JSON.stringify(trimmed));
-    console.warn("Parse error:", e.message);
-    // Try one more time with just the JSON object if it's still wrapped
-    if (candidate.includes("```")) {
-      const lastAttempt = candidate.replace(/```(?:json)?/gi, "").replace(/```/g, "").trim();
-      try {
-        parsed = JSON.parse(lastAttempt);
-      } catch (e2) {
-        parsed = {
-          command: "look",
-          narration:
-            trimmed || "You pause for a moment, unsure of your next move.",
-        };
-      }
+    const result = await runTurn(req.app.locals.gameMaster, turn.session, turn.input, {
+      onToken: (text) => send("narration", { text }),
+    });
+    send("turn", { sessionId: turn.session.id, ...result });
+  } catch (err) {
+    if (err.code === "DAILY_BUDGET_EXCEEDED") {
+      req.app.locals.metrics.increment("limits.budgetExhausted");
+      send("error", {
+        error: "budgetExhausted",
+        narration: locales.translate(turn.session.state.language, "messages.budgetExhausted"),
+      });
     } else {
-      parsed = {
-        command: "look",
-        narration:
-          trimmed || "You pause for a moment, unsure of your next move.",
-      };
+      console.error("Error in streaming input handler:", err);
+      send("error", { error: "Internal server error" });
     }
   }
+  res.end();
+}
 
-  if (!parsed.command) {
-    parsed.command = "look";
+/**
+ * POST /sessions/:id/hint - the next hint for the puzzle step the player is
+ * on, from the world file rather than the model. Hints for a step get more
+ * explicit each time; a session waits `hintCooldownSeconds` between hints.
+ */
+function hintHandler(req, res) {
+  const { limits, metrics } = req.app.locals;
+  const session = getSession(req.params.id);
+  if (!session) return sendSessionNotFound(res);
+
+  const state = session.state;
+  if (state.gameComplete) {
+    return res.status(409).json({ error: "The game is already complete." });
   }
-  if (!parsed.narration) {
-    parsed.narration = "You take a moment to look around.";
+
+  const wait = hintCooldownRemaining(session);
+  if (wait > 0) {
+    return sendLimitResponse(res, 429, "hintCooldown", state.language, wait);
   }
-  if (!parsed.language) {
-    parsed.language = "en";
+
+  const hint = giveHint(state);
+  if (!hint) {
+    return res.status(409).json({ error: "There is nothing left to hint at." });
   }
-  if (!parsed.puzzleProgress) {
-    parsed.puzzleProgress = {
-      foundLantern: false,
-      litLantern: false,
-      foundKey: false,
-      unlockedDoor: false,
-      reachedTop: false,
-      litBeacon: false,
-    };
+  session.nextHintAt = Date.now() + limits.hintCooldownSeconds * 1000;
+  metrics.increment(`hints.${hint.level}`);
+
+  res.json({
+    sessionId: session.id,
+    hint,
+    state: toClientState(session),
+  });
+}
+
+/**
+ * POST /sessions/:id/language - switch a game to another language mid-game.
+ * Room and item names in the returned state, and the narration from the next
+ * turn on, use the new language.
+ */
+function setLanguageHandler(req, res) {
+  const session = getSession(req.params.id);
+  if (!session) return sendSessionNotFound(res);
+
+  const { language } = req.body || {};
+  if (!locales.isSupportedLanguage(language)) {
+    return res.status(400).json({
+      error: `Unsupported language. Available: ${locales.languages.join(", ")}.`,
+    });
   }
-  if (parsed.gameComplete === undefined) {
-    parsed.gameComplete = false;
+
+  session.state.language = language;
+  res.json({
+    sessionId: session.id,
+    state: toClientState(session),
+  });
+}
+
+/**
+ * GET /locales - the languages the game speaks, for the language menus
+ */
+function listLocalesHandler(req, res) {
+  res.json({ languages: locales.listLanguages(), default: locales.DEFAULT_LANGUAGE });
+}
+
+/**
+ * GET /locales/:lang - UI strings of one language (English where a string is
+ * untranslated), its command words for completing input, plus the keys that
+ * still need translating
+ */
+function getLocaleHandler(req, res) {
+  const { lang } = req.params;
+  if (!locales.isSupportedLanguage(lang)) {
+    return res.status(404).json({ error: "Locale not found." });
   }
+  const locale = locales.getLocale(lang);
+  res.json({
+    language: lang,
+    name: locale.name,
+    ui: locale.ui,
+    commands: locale.commands,
+    missingKeys: locales.findMissingKeys(lang),
+  });
+}
 
-  return parsed;
+/**
+ * GET /metrics - counters since the server started, how often the model's
+ * interpret replies needed repair or fell back to "look", and today's spend
+ */
+function metricsHandler(req, res) {
+  const { metrics, spend } = req.app.locals;
+  const requests = metrics.get("interpret.requests");
+  const rate = (name) => (requests ? metrics.get(name) / requests : 0);
+  res.json({
+    ...metrics.snapshot(),
+    interpret: {
+      repairRate: rate("interpret.repaired"),
+      fallbackRate: rate("interpret.fallbacks"),
+    },
+    spend: spend.snapshot(),
+  });
 }
 
 /**
- * Shared handler for both /interpret and /api/interpret
+ * POST /leaderboard - put a finished game on the leaderboard under a name.
+ * The score comes from the server's own record of the session; each game
+ * can enter once, however often it is saved and restored.
  */
-async function interpretHandler(req, res) {
-  try {
-    const { input, state, language } = req.body || {};
-    if (!input || typeof input !== "string") {
-      return res.status(400).json({
-        error: "Missing 'input' string in body.",
-      });
-    }
+function submitScoreHandler(req, res) {
+  const { leaderboard } = req.app.locals;
+  const body = req.body || {};
+
+  const unexpected = findUnexpectedField(body, ["sessionId", "name"]);
+  if (unexpected) return res.status(400).json({ error: unexpected });
+
+  const name = cleanName(body.name);
+  if (!name) {
+    return res.status(400).json({
+      error: `Missing 'name' in body (1 to ${MAX_NAME_LENGTH} characters).`,
+    });
+  }
 
-    if (!MISTRAL_API_KEY) {
-      return res.status(500).json({
-        error: "MISTRAL_API_KEY not configured on server.",
-      });
-    }
+  const session = getSession(body.sessionId);
+  if (!session) return sendSessionNotFound(res);
 
-    // Use language from request body, fallback to state, then default to "en"
-    const selectedLanguage = language || state?.language || "en";
-
-    const room = state?.currentRoomId || "unknown";
-    const inventory = Array.isArray(state?.inventory)
-      ? state.inventory.join(", ")
-      : "empty";
-    const flags = state?.flags ? JSON.stringify(state.flags) : "{}";
-    const puzzleProgress = state?.puzzleProgress || {
-      foundLantern: false,
-      litLantern: false,
-      foundKey: false,
-      unlockedDoor: false,
-      reachedTop: false,
-      litBeacon: false,
-    };
-
-    const stateSummary = `
-currentRoomId: ${room}
-inventory: ${inventory || "empty"}
-flags: ${flags}
-puzzleProgress: ${JSON.stringify(puzzleProgress)}
-gameComplete: ${state?.gameComplete || false}
-`.trim();
-
-    const result = await callMistralChat({ input, stateSummary, language: selectedLanguage });
-    res.json(result);
-  } catch (err) {
-    console.error("Error in interpret handler:", err);
-    res.status(500).json({ error: "Internal server error" });
+  const result = computeResult(session);
+  if (!result) {
+    return res.status(409).json({ error: "Finish the game before joining the leaderboard." });
+  }
+  if (!result.won) {
+    return res.status(409).json({ error: "Only games that end in a win join the leaderboard." });
+  }
+  // A restored game runs in a new session, so the game is known by the
+  // session its completion code was issued to - the code survives saves
+  const gameId = verifyCompletionCode(session.completionCode).sessionId || session.id;
+  if (leaderboard.has(gameId)) {
+    return res.status(409).json({ error: "This game is already on the leaderboard." });
+  }
+
+  const entry = leaderboard.add({
+    sessionId: gameId,
+    name,
+    language: session.state.language,
+    score: result.score,
+    durationSeconds: result.durationSeconds,
+    turns: result.turns,
+    failedCommands: result.failedCommands,
+    hintsUsed: result.hintsUsed,
+    ending: result.ending,
+    finishedAt: result.finishedAt,
+  });
+  res.status(201).json({ entry });
+}
+
+/**
+ * GET /leaderboard?language=tr&period=week&limit=10 - the best finished
+ * games, optionally of one language and one period (day, week, month, all)
+ */
+function leaderboardHandler(req, res) {
+  const { language, period = "all" } = req.query;
+  if (language !== undefined && !locales.isSupportedLanguage(language)) {
+    return res.status(400).json({
+      error: `Unsupported language. Available: ${locales.languages.join(", ")}.`,
+    });
+  }
+  if (!Object.hasOwn(PERIODS, period)) {
+    return res.status(400).json({
+      error: `Unknown period. Available: ${Object.keys(PERIODS).join(", ")}.`,
+    });
+  }
+  const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 10, 1), 100);
+
+  res.json({
+    language: language || null,
+    period,
+    entries: req.app.locals.leaderboard.list({ language, period, limit }),
+  });
+}
+
+/**
+ * GET /endings?language=tr - every ending of the world, for the "endings
+ * found" list on the ending screen. The client keeps track of which ones the
+ * player has seen.
+ */
+function endingsHandler(req, res) {
+  const { language = locales.DEFAULT_LANGUAGE } = req.query;
+  if (!locales.isSupportedLanguage(language)) {
+    return res.status(400).json({
+      error: `Unsupported language. Available: ${locales.languages.join(", ")}.`,
+    });
+  }
+  res.json({ language, endings: listEndings(language) });
+}
+
+/**
+ * POST /completion/verify - check a completion code shown to a player
+ */
+function verifyCompletionHandler(req, res) {
+  const { code } = req.body || {};
+  if (!code || typeof code !== "string") {
+    return res.status(400).json({
+      error: "Missing 'code' string in body.",
+    });
   }
+  res.json(verifyCompletionCode(code));
 }
 
-app.post("/interpret", interpretHandler);
-app.post("/api/interpret", interpretHandler);
+// Every route is served both at the root and under /api
+const router = express.Router();
+
+router.post("/sessions", createSessionHandler);
+router.post("/sessions/restore", restoreSessionHandler);
+router.get("/sessions/:id", getSessionHandler);
+router.get("/sessions/:id/save", saveSessionHandler);
+router.post("/sessions/:id/language", setLanguageHandler);
+router.post("/sessions/:id/hint", hintHandler);
+router.post("/sessions/:id/input", inputHandler);
+router.post("/sessions/:id/input/stream", streamInputHandler);
+router.post("/interpret", inputHandler);
+router.post("/interpret/stream", streamInputHandler);
+router.post("/completion/verify", verifyCompletionHandler);
+router.get("/endings", endingsHandler);
+router.get("/leaderboard", leaderboardHandler);
+router.post("/leaderboard", submitScoreHandler);
+router.get("/locales", listLocalesHandler);
+router.get("/locales/:lang", getLocaleHandler);
+router.get("/metrics", metricsHandler);
 
-app.get("/", (_req, res) => {
-  res.json({ status: "ok", message: "Text adventure backend is running." });
-});
+/**
+ * Malformed or oversized JSON bodies get a JSON error like every other route.
+ */
+function bodyErrorHandler(err, req, res, next) {
+  if (err.type === "entity.too.large") {
+    return res.status(413).json({ error: "Request body too large." });
+  }
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "Malformed JSON body." });
+  }
+  next(err);
+}
+
+/**
+ * Build the Express app around a game master provider. Tests pass a stub,
+ * tighter `limits` and a throwaway `leaderboard`; the server below uses the
+ * provider, prompts, sampling and leaderboard file from `config` (see
+ * config.js) and DEFAULT_LIMITS.
+ */
+function createApp({
+  config = loadConfig(),
+  provider = createProvider(config.provider),
+  limits = {},
+  leaderboard = createLeaderboard(config.leaderboard),
+} = {}) {
+  const app = express();
+  app.locals.config = config;
+  app.locals.leaderboard = leaderboard;
+  app.locals.limits = { ...DEFAULT_LIMITS, ...limits };
+  app.locals.limiters = {
+    turnsPerIp: createRateLimiter(app.locals.limits.turnsPerIp),
+    turnsPerSession: createRateLimiter(app.locals.limits.turnsPerSession),
+    sessionsPerIp: createRateLimiter(app.locals.limits.sessionsPerIp),
+    restoresPerIp: createRateLimiter(app.locals.limits.restoresPerIp),
+  };
+  app.locals.spend = createSpendTracker(app.locals.limits);
+  app.locals.metrics = createMetrics();
+  // Every model call counts against the daily budget
+  app.locals.gameMaster = createGameMaster(createBudgetedProvider(provider, app.locals.spend), {
+    metrics: app.locals.metrics,
+    prompts: createPromptLibrary(config.prompts),
+    sampling: config.sampling,
+  });
+
+  // TRUST_PROXY is a hop count ("1"), "true", or addresses as Express takes them
+  const trustProxy = process.env.TRUST_PROXY;
+  if (trustProxy) {
+    app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === "true" || trustProxy);
+  }
+
+  app.use(cors());
+  app.use(express.json({ limit: app.locals.limits.maxBodySize }));
+  app.use(bodyErrorHandler);
+
+  app.use(router);
+  app.use("/api", router);
+
+  app.get("/", (_req, res) => {
+    res.json({ status: "ok", message: "Text adventure backend is running." });
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  // config.json plus CONFIG_FILE and environment overrides (see config.js)
+  const config = loadConfig();
+  const provider = createProvider(config.provider);
+  if (provider.name === "mock") {
+    console.warn(
+      "WARNING: Using the offline mock game master. Set MISTRAL_API_KEY or LLM_PROVIDER for real narration."
+    );
+  }
+  console.log(`Game master: ${provider.name} (${provider.model})`);
+  if (config.prompts.hotReload) {
+    console.log(`Prompt templates reload on change (${config.prompts.dir})`);
+  }
+
+  createApp({ config, provider }).listen(config.port, () => {
+    console.log(`Game backend listening on http://127.0.0.1:${config.port}`);
+  });
+}
 
-app.listen(PORT, () => {
-  console.log(`Game backend listening on http://127.0.0.1:${PORT}`);
-});
\ No newline at end of file
+module.exports = {
+  createApp,
+};
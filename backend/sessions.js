@@ -0,0 +1,77 @@
+const crypto = require("crypto");
+const { createGameState } = require("../shared/engine");
+const { createStats } = require("./scoring");
+
+// Sessions idle for longer than this are dropped
+const SESSION_TTL_MS = 6 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * In-memory session store. The server owns every game state; the browser only
+ * ever holds the session id.
+ */
+const sessions = new Map();
+
+function createSession(language = "en") {
+  const id = crypto.randomUUID();
+  const now = Date.now();
+  const session = {
+    id,
+    createdAt: now,
+    updatedAt: now,
+    state: createGameState(language),
+    stats: createStats(),
+  };
+  sessions.set(id, session);
+  return session;
+}
+
+/**
+ * Start a new session from a checked save (see saves.js).
+ */
+function restoreSession(game) {
+  const id = crypto.randomUUID();
+  const now = Date.now();
+  const session = {
+    id,
+    createdAt: game.createdAt || now,
+    updatedAt: now,
+    state: game.state,
+    stats: { ...createStats(), ...game.stats },
+    history: {
+      summary: game.history?.summary || "",
+      turns: [...(game.history?.turns || [])],
+      pending: null,
+    },
+    finishedAt: game.finishedAt || undefined,
+    completionCode: game.completionCode || undefined,
+    nextHintAt: game.nextHintAt || undefined,
+  };
+  sessions.set(id, session);
+  return session;
+}
+
+function getSession(id) {
+  if (typeof id !== "string") return null;
+  const session = sessions.get(id);
+  if (!session) return null;
+  session.updatedAt = Date.now();
+  return session;
+}
+
+function cleanupSessions() {
+  const cutoff = Date.now() - SESSION_TTL_MS;
+  for (const [id, session] of sessions) {
+    if (session.updatedAt < cutoff) {
+      sessions.delete(id);
+    }
+  }
+}
+
+setInterval(cleanupSessions, CLEANUP_INTERVAL_MS).unref();
+
+module.exports = {
+  createSession,
+  restoreSession,
+  getSession,
+};
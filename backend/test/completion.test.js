@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createApp } = require("../server");
+const { createLeaderboard } = require("../leaderboard");
+const { createMockProvider } = require("../providers/mock");
+const { issueCompletionCode, verifyCompletionCode } = require("../completion");
+
+const KEY = "test completion key";
+const FINISHED_AT = Date.parse("2026-03-01T12:34:56Z");
+
+/**
+ * Start the app on a free port, run `fn(baseUrl)` and always shut it down.
+ */
+async function withServer(fn) {
+  const leaderboard = createLeaderboard({
+    file: path.join(fs.mkdtempSync(path.join(os.tmpdir(), "lighthouse-board-")), "leaderboard.json"),
+  });
+  const server = createApp({ provider: createMockProvider(), leaderboard }).listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+async function verify(baseUrl, body) {
+  const response = await fetch(`${baseUrl}/completion/verify`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test("a code verifies to the session and time it was issued for", () => {
+  const code = issueCompletionCode("session-1", FINISHED_AT, KEY);
+
+  assert.deepEqual(verifyCompletionCode(code, KEY), {
+    valid: true,
+    sessionId: "session-1",
+    finishedAt: "2026-03-01T12:34:56.000Z",
+  });
+  assert.equal(verifyCompletionCode(`  ${code}\n`, KEY).valid, true);
+});
+
+test("a code signed with another key, or changed after signing, is not valid", () => {
+  const code = issueCompletionCode("session-1", FINISHED_AT, KEY);
+  const [payload, signature] = code.split(".");
+  const otherPayload = Buffer.from(`session-2.${FINISHED_AT}`).toString("base64url");
+
+  assert.deepEqual(verifyCompletionCode(code, "another key"), { valid: false });
+  assert.deepEqual(verifyCompletionCode(issueCompletionCode("session-1", FINISHED_AT, "another key"), KEY), {
+    valid: false,
+  });
+  assert.deepEqual(verifyCompletionCode(`${otherPayload}.${signature}`, KEY), { valid: false });
+  assert.deepEqual(verifyCompletionCode(`${payload}.${"A".repeat(signature.length)}`, KEY), {
+    valid: false,
+  });
+});
+
+test("malformed codes are not valid", () => {
+  const code = issueCompletionCode("session-1", FINISHED_AT, KEY);
+  // Signed correctly, but the payload isn't "<sessionId>.<finishedAt>"
+  const unreadable = issueCompletionCode("session-1", "yesterday", KEY);
+
+  for (const malformed of ["", "abc", ".", "a.b.c", `${code}.extra`, `.${code.split(".")[1]}`, unreadable]) {
+    assert.deepEqual(verifyCompletionCode(malformed, KEY), { valid: false }, malformed);
+  }
+  for (const notAString of [undefined, null, 42, { code }]) {
+    assert.deepEqual(verifyCompletionCode(notAString, KEY), { valid: false });
+  }
+});
+
+test("POST /completion/verify checks codes with the server's secret", async () => {
+  await withServer(async (baseUrl) => {
+    const genuine = await verify(baseUrl, { code: issueCompletionCode("session-1", FINISHED_AT) });
+    const forged = await verify(baseUrl, { code: issueCompletionCode("session-1", FINISHED_AT, "guessed key") });
+    const malformed = await verify(baseUrl, { code: "not-a-code" });
+
+    assert.equal(genuine.status, 200);
+    assert.deepEqual(genuine.body, { valid: true, sessionId: "session-1", finishedAt: "2026-03-01T12:34:56.000Z" });
+    assert.equal(forged.status, 200);
+    assert.deepEqual(forged.body, { valid: false });
+    assert.deepEqual(malformed.body, { valid: false });
+    assert.equal((await verify(baseUrl, {})).status, 400);
+    assert.equal((await verify(baseUrl, { code: 42 })).status, 400);
+  });
+});
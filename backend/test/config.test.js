@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadConfig } = require("../config");
+
+test("config.json holds the defaults", () => {
+  const config = loadConfig({});
+
+  assert.equal(config.port, 4000);
+  assert.equal(config.provider.mistral.model, "mistral-small-latest");
+  assert.equal(config.provider.timeoutMs, 60000);
+  assert.deepEqual(config.sampling.narrate, { temperature: 0.85, maxTokens: 600, topP: 0.95 });
+  assert.equal(config.prompts.hotReload, false);
+  assert.equal(config.leaderboard.file, "data/leaderboard.json");
+  assert.equal(loadConfig({ LEADERBOARD_FILE: "/var/lib/lighthouse/board.json" }).leaderboard.file, "/var/lib/lighthouse/board.json");
+});
+
+test("environment variables override the config", () => {
+  const config = loadConfig({
+    PORT: "8080",
+    LLM_PROVIDER: "openai",
+    OPENAI_BASE_URL: "http://localhost:11434/v1",
+    OPENAI_MODEL: "llama3",
+    OPENAI_JSON_MODE: "false",
+    LLM_TIMEOUT_MS: "15000",
+    NARRATE_TEMPERATURE: "0.5",
+    INTERPRET_MAX_TOKENS: "80",
+    NODE_ENV: "development",
+  });
+
+  assert.equal(config.port, 8080);
+  assert.equal(config.provider.timeoutMs, 15000);
+  assert.deepEqual(config.provider.openai, { baseUrl: "http://localhost:11434/v1", model: "llama3", jsonMode: false });
+  assert.deepEqual(config.sampling.narrate, { temperature: 0.5, maxTokens: 600, topP: 0.95 });
+  assert.equal(config.sampling.interpret.maxTokens, 80);
+  // Development turns on prompt hot reload unless it is set explicitly
+  assert.equal(config.prompts.hotReload, true);
+  assert.equal(loadConfig({ NODE_ENV: "development", PROMPTS_HOT_RELOAD: "false" }).prompts.hotReload, false);
+});
+
+test("CONFIG_FILE is merged over the defaults, and the environment over both", () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "lighthouse-config-")), "config.json");
+  fs.writeFileSync(file, JSON.stringify({ port: 5000, sampling: { narrate: { topP: 0.8 } } }));
+
+  const config = loadConfig({ CONFIG_FILE: file, NARRATE_TEMPERATURE: "1" });
+
+  assert.equal(config.port, 5000);
+  assert.deepEqual(config.sampling.narrate, { temperature: 1, maxTokens: 600, topP: 0.8 });
+  assert.equal(config.sampling.interpret.temperature, 0.2);
+});
+
+test("bad settings are rejected with the name of the setting", () => {
+  assert.throws(() => loadConfig({ PORT: "eighty" }), /PORT must be a number/);
+  assert.throws(() => loadConfig({ PORT: "70000" }), /port must be an integer/);
+  assert.throws(() => loadConfig({ LLM_TIMEOUT_MS: "0" }), /provider.timeoutMs must be a positive number/);
+  assert.throws(() => loadConfig({ CONFIG_FILE: "/nonexistent/config.json" }), /Could not read config file/);
+});
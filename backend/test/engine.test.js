@@ -0,0 +1,478 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createGameState,
+  restoreGameState,
+  handleEngineCommand,
+  runCommands,
+  normalizeItemName,
+  findItemIds,
+  giveHint,
+  getEnding,
+  getClientState,
+  listEndings,
+  itemStateLabels,
+  validateCommand,
+} = require("../../shared/engine");
+
+/**
+ * Play a scripted list of commands on a fresh game and return the final state
+ * plus the engine result of every command.
+ */
+function play(commands, state = createGameState("en")) {
+  const results = commands.map((command) => handleEngineCommand(state, command));
+  return { state, results };
+}
+
+const WALKTHROUGH = [
+  "go north",
+  "take lantern",
+  "use lantern",
+  "go north",
+  "take smallKey",
+  "use smallKey",
+  "go inside",
+  "go up",
+  "use lantern",
+];
+
+test("the full walkthrough completes the game", () => {
+  const { state, results } = play(WALKTHROUGH);
+
+  assert.ok(results.every((result) => result.ok), JSON.stringify(results));
+  assert.equal(state.currentRoomId, "lighthouseTop");
+  assert.equal(state.flags.beaconLit, true);
+  assert.ok(Object.values(state.puzzleProgress).every(Boolean));
+  assert.equal(state.gameComplete, true);
+});
+
+test("the game is not complete one step before the end", () => {
+  const { state } = play(WALKTHROUGH.slice(0, -1));
+
+  assert.equal(state.gameComplete, false);
+  assert.equal(state.puzzleProgress.reachedTop, true);
+  assert.equal(state.puzzleProgress.litBeacon, false);
+});
+
+test("the lighthouse door stays locked without the key", () => {
+  const { state, results } = play(["go north", "go north", "go inside"]);
+
+  assert.deepEqual(results[2], { command: "go inside", ok: false, reason: "locked" });
+  assert.equal(state.currentRoomId, "lighthouseExterior");
+  assert.equal(state.flags.lighthouseDoorUnlocked, false);
+});
+
+test("carrying the key does not open the door until it is used", () => {
+  const { state, results } = play(["go north", "go north", "take smallKey", "go inside"]);
+
+  assert.equal(results[3].reason, "locked");
+  assert.equal(state.currentRoomId, "lighthouseExterior");
+});
+
+test("the key only works at the lighthouse door", () => {
+  const { state } = play(["go north", "go north", "take smallKey", "go south", "use smallKey"]);
+
+  assert.equal(state.flags.lighthouseDoorUnlocked, false);
+});
+
+test("an unlit lantern cannot light the beacon", () => {
+  const { state, results } = play([
+    "go north",
+    "take lantern",
+    "go north",
+    "take smallKey",
+    "use smallKey",
+    "go inside",
+    "go up",
+    "use lantern",
+  ]);
+
+  assert.deepEqual(results[7], { command: "use lantern", ok: false, reason: "lantern not lit" });
+  assert.equal(state.flags.beaconLit, false);
+  assert.equal(state.gameComplete, false);
+});
+
+test("an item can only be taken once", () => {
+  const { state, results } = play(["go north", "take lantern", "take lantern"]);
+
+  assert.equal(results[1].ok, true);
+  assert.deepEqual(results[2], { command: "take lantern", ok: false, reason: "already carried" });
+  assert.deepEqual(state.inventory, ["lantern"]);
+  assert.deepEqual(state.roomItems.beach, []);
+});
+
+test("items can't be taken from another room", () => {
+  const { state, results } = play(["take lantern"]);
+
+  assert.equal(results[0].reason, "not here");
+  assert.deepEqual(state.inventory, []);
+  assert.deepEqual(state.roomItems.beach, ["lantern"]);
+});
+
+test("failed commands report why", () => {
+  const { results } = play(["go west", "use lantern", "examine smallKey", "take", "take seashell"]);
+
+  assert.deepEqual(
+    results.map((result) => result.reason),
+    ["no exit", "not carried", "not here", "missing target", "not here"]
+  );
+});
+
+test("item aliases work in both languages", () => {
+  const { state, results } = play(["north", "take fener", "x lamba"]);
+
+  assert.ok(results.every((result) => result.ok));
+  assert.deepEqual(state.inventory, ["lantern"]);
+});
+
+test("games don't share state", () => {
+  const first = play(["go north", "take lantern"]).state;
+  const second = createGameState("tr");
+
+  assert.deepEqual(first.inventory, ["lantern"]);
+  assert.deepEqual(second.inventory, []);
+  assert.deepEqual(second.roomItems.beach, ["lantern"]);
+});
+
+test("puzzle progress never goes back", () => {
+  const { state } = play(["go north", "take lantern", "go south"]);
+
+  assert.equal(state.puzzleProgress.foundLantern, true);
+  assert.equal(state.currentRoomId, "pier");
+});
+
+test("hints for a step get more explicit, then stay explicit", () => {
+  const state = createGameState("en");
+  const hints = [giveHint(state), giveHint(state), giveHint(state), giveHint(state)];
+
+  assert.deepEqual(
+    hints.map((hint) => [hint.step, hint.level]),
+    [
+      ["foundLantern", "vague"],
+      ["foundLantern", "specific"],
+      ["foundLantern", "explicit"],
+      ["foundLantern", "explicit"],
+    ]
+  );
+  assert.match(hints[2].text, /go north to the beach/i);
+  assert.equal(state.hints.used, 4);
+});
+
+test("hints follow puzzle progress and the player's room", () => {
+  const { state } = play(["go north", "take lantern", "use lantern", "go north"]);
+
+  assert.equal(giveHint(state).step, "foundKey");
+  assert.match(giveHint(state).text, /stone box jutting out beside the door/);
+  handleEngineCommand(state, "go south");
+  assert.match(giveHint(state).text, /Go to the lighthouse entrance/);
+});
+
+test("hints are localized", () => {
+  const state = createGameState("tr");
+  giveHint(state);
+  giveHint(state);
+
+  assert.equal(giveHint(state).text, "Kuzeye, kumsala gidin ve \"feneri al\" yazın.");
+});
+
+test("a finished game has no hints left", () => {
+  const { state } = play(WALKTHROUGH);
+
+  assert.equal(giveHint(state), null);
+});
+
+test("hint counts survive a save", () => {
+  const state = createGameState("en");
+  giveHint(state);
+  giveHint(state);
+
+  const restored = restoreGameState(JSON.parse(JSON.stringify(state)));
+  assert.deepEqual(restored.hints, { used: 2, tiers: { foundLantern: 2 } });
+  assert.equal(giveHint(restored).level, "explicit");
+  assert.deepEqual(restoreGameState({ currentRoomId: "pier" }).hints, { used: 0, tiers: {} });
+});
+
+
+test("lighting the beacon is the usual winning ending", () => {
+  const { state } = play(WALKTHROUGH);
+
+  assert.equal(state.ending, "beaconLit");
+  assert.equal(getEnding(state).win, true);
+  assert.equal(getClientState(state).ending.kind, "victory");
+});
+
+test("reading the logbook first leads to the secret ending", () => {
+  const { state: finished } = play([
+    "go north",
+    "take lantern",
+    "use lantern",
+    "go north",
+    "take smallKey",
+    "use smallKey",
+    "go inside",
+    "examine logbook",
+    "go up",
+  ]);
+  assert.equal(finished.gameComplete, false, "the logbook alone ends nothing");
+
+  handleEngineCommand(finished, "use lantern");
+  assert.equal(finished.ending, "keeperReturns");
+  assert.equal(getClientState(finished).ending.kind, "secret");
+  assert.equal(getEnding(finished).win, true);
+});
+
+test("smashing the lantern ends the game in the dark", () => {
+  const { state, results } = play(["go north", "take lantern", "break lantern"]);
+
+  assert.ok(results.every((result) => result.ok), JSON.stringify(results));
+  assert.equal(state.gameComplete, true);
+  assert.equal(state.ending, "longDark");
+  assert.equal(getEnding(state).win, false);
+});
+
+test("rowing away is an ending the player does not win", () => {
+  const { state } = play(["go down"]);
+
+  assert.equal(state.currentRoomId, "rowboat");
+  assert.equal(state.ending, "sailedAway");
+  assert.equal(getClientState(state).ending.win, false);
+});
+
+test("the first ending reached stays", () => {
+  const { state } = play(["go north", "take lantern", "break lantern", "go south", "go down"]);
+
+  assert.equal(state.ending, "longDark");
+});
+
+test("only items with a break rule can be broken", () => {
+  const { results } = play(["go north", "go north", "take smallKey", "break smallKey"]);
+
+  assert.equal(results[3].ok, false);
+  assert.equal(results[3].reason, "no effect");
+});
+
+test("using an item no rule covers has no effect", () => {
+  const { state, results } = play(["go north", "go north", "take smallKey", "take tornPage", "go south", "use smallKey", "use tornPage"]);
+
+  assert.deepEqual(
+    results.slice(-2).map((result) => [result.ok, result.reason]),
+    [
+      [false, "no effect"],
+      [false, "no effect"],
+    ]
+  );
+  assert.equal(state.flags.lighthouseDoorUnlocked, false);
+});
+
+test("finished games saved before endings existed lit the beacon", () => {
+  const { state } = play(WALKTHROUGH);
+  const { ending, ...oldSave } = JSON.parse(JSON.stringify(state));
+
+  assert.equal(restoreGameState(oldSave).ending, "beaconLit");
+  assert.equal(restoreGameState({ ...oldSave, ending: "nowhere" }).ending, "beaconLit");
+});
+
+test("endings are listed with localized titles", () => {
+  const english = listEndings("en");
+  const turkish = listEndings("tr");
+
+  assert.deepEqual(english.map((ending) => ending.id), ["keepersStory", "keeperReturns", "beaconLit", "sailedAway", "longDark"]);
+  assert.notEqual(english[0].title, turkish[0].title);
+  assert.ok(english.some((ending) => !ending.win));
+});
+
+test("the key lies in the stone box, which can be closed", () => {
+  const { state, results } = play(["go north", "go north", "close box", "take smallKey", "open box", "open box", "take smallKey"]);
+
+  assert.deepEqual(
+    results.map((result) => result.reason || "ok"),
+    ["ok", "ok", "ok", "not here", "ok", "already open", "ok"]
+  );
+  assert.deepEqual(state.inventory, ["smallKey"]);
+  assert.deepEqual(state.containers.stoneBox, ["tornPage"]);
+});
+
+test("the door is part of the tower and opens once unlocked", () => {
+  const { results } = play(["go north", "go north", "take door", "open door", "take smallKey", "use smallKey", "open door"]);
+
+  assert.equal(results[2].reason, "fixed");
+  assert.equal(results[3].reason, "locked");
+  assert.equal(results[6].ok, true);
+});
+
+test("items can be dropped and put in containers", () => {
+  const { state, results } = play([
+    "go north",
+    "take lantern",
+    "drop lantern",
+    "take lantern",
+    "go north",
+    "put lantern in box",
+    "take smallKey",
+    "put smallKey in lantern",
+    "close box",
+    "put smallKey in box",
+  ]);
+
+  assert.deepEqual(
+    results.map((result) => result.reason || "ok"),
+    ["ok", "ok", "ok", "ok", "ok", "ok", "ok", "not a container", "ok", "closed"]
+  );
+  assert.deepEqual(state.containers.stoneBox, ["tornPage", "lantern"]);
+  assert.deepEqual(state.inventory, ["smallKey"]);
+});
+
+test("the torn page can be read and put back into the logbook", () => {
+  const { state, results } = play([
+    "go north",
+    "take lantern",
+    "use lantern",
+    "go north",
+    "take tornPage",
+    "read tornPage",
+    "read lantern",
+    "take smallKey",
+    "use smallKey",
+    "go inside",
+    "combine tornPage with logbook",
+  ]);
+
+  assert.equal(results[5].ok, true);
+  assert.equal(results[6].reason, "no effect");
+  assert.equal(results[10].ok, true);
+  assert.equal(state.flags.logbookMended, true);
+  assert.ok(!state.inventory.includes("tornPage"));
+  assert.deepEqual(itemStateLabels(state, "logbook"), ["complete"]);
+  assert.deepEqual(itemStateLabels(state, "lantern", "tr"), ["yanık"]);
+});
+
+test("putting the page back into the logbook leads to the keeper's story", () => {
+  const { state } = play([
+    "go north",
+    "take lantern",
+    "use lantern",
+    "go north",
+    "take tornPage",
+    "take smallKey",
+    "use smallKey",
+    "go inside",
+    "put tornPage in logbook",
+    "go up",
+  ]);
+  assert.equal(state.gameComplete, false, "the mended logbook alone ends nothing");
+
+  handleEngineCommand(state, "use lantern");
+  assert.equal(state.ending, "keepersStory");
+  assert.equal(getEnding(state).win, true);
+});
+
+test("reading the logbook counts as a close look", () => {
+  const { state } = play([...WALKTHROUGH.slice(0, -2), "read logbook", "go up", "use lantern"]);
+
+  assert.equal(state.ending, "keeperReturns");
+});
+
+test("unknown verbs fail instead of passing silently", () => {
+  const { results } = play(["dance", "put lantern"]);
+
+  assert.equal(results[0].reason, "unknown verb");
+  assert.equal(results[1].reason, "missing target");
+  assert.match(validateCommand("put lantern"), /needs two items/);
+  assert.equal(validateCommand("put lantern in box"), null);
+  assert.match(validateCommand("combine lantern with moon"), /unknown item "moon"/);
+});
+
+test("the room shows what lies in its open containers", () => {
+  const { state } = play(["go north", "go north"]);
+  const names = () => getClientState(state).room.items.map((item) => item.id);
+
+  assert.deepEqual(names(), ["lighthouseDoor", "stoneBox", "lighthouse", "smallKey", "tornPage"]);
+  handleEngineCommand(state, "close box");
+  assert.deepEqual(names(), ["lighthouseDoor", "stoneBox", "lighthouse"]);
+});
+
+test("a turn's commands stop at the first failure", () => {
+  const state = createGameState("en");
+  const { outcomes, skipped } = runCommands(state, ["go north", "take smallKey", "go north"]);
+
+  assert.deepEqual(outcomes, [
+    { command: "go north", ok: true },
+    { command: "take smallKey", ok: false, reason: "not here" },
+  ]);
+  assert.deepEqual(skipped, ["go north"]);
+  assert.equal(state.currentRoomId, "beach");
+});
+
+test("a turn's commands stop when the game ends", () => {
+  const { state } = play(WALKTHROUGH.slice(0, -1));
+  const { outcomes, skipped } = runCommands(state, ["use lantern", "go down"]);
+
+  assert.equal(outcomes.length, 1);
+  assert.deepEqual(skipped, ["go down"]);
+  assert.equal(state.currentRoomId, "lighthouseTop");
+});
+
+test("a name two items share means the first of them to the engine", () => {
+  assert.deepEqual(findItemIds("fener"), ["lantern", "lighthouse"]);
+  assert.equal(normalizeItemName("fener"), "lantern");
+  assert.equal(normalizeItemName("deniz feneri"), "lighthouse");
+  assert.deepEqual(findItemIds("constructor"), []);
+});
+
+test("games saved before containers keep their items in one place", () => {
+  const { state } = play(["go north", "go north", "take smallKey"]);
+  const { containers, ...oldSave } = JSON.parse(JSON.stringify(state));
+  oldSave.roomItems.lighthouseExterior = [];
+
+  const restored = restoreGameState(oldSave);
+  assert.deepEqual(restored.containers.stoneBox, ["tornPage"]);
+  assert.deepEqual(restored.roomItems.lighthouseExterior, ["lighthouseDoor", "stoneBox", "lighthouse"]);
+  assert.deepEqual(restored.inventory, ["smallKey"]);
+});
+
+test("the map shows the rooms visited, where their exits lead and which are locked", () => {
+  const { state } = play(["go north", "go north"]);
+  const map = () => getClientState(state).map;
+  const door = () => map().exits.find((exit) => exit.from === "lighthouseExterior" && exit.direction === "inside");
+
+  assert.deepEqual(
+    map().rooms.map((room) => [room.id, room.x, room.y, room.current]),
+    [
+      ["pier", 0, 0, false],
+      ["beach", 0, -1, false],
+      ["lighthouseExterior", 0, -2, true],
+    ]
+  );
+  // Rooms not visited yet keep their names to themselves
+  assert.deepEqual(door(), { from: "lighthouseExterior", direction: "inside", label: "inside", to: null, x: 0, y: -3, locked: true });
+
+  play(["take smallKey", "use smallKey", "go inside"], state);
+  assert.equal(door().to, "lighthouseInterior");
+  assert.equal(door().locked, false);
+  assert.equal(map().rooms.find((room) => room.current).id, "lighthouseInterior");
+});
+
+test("the client state lists carried items with their states and description", () => {
+  const { state } = play(["go north"]);
+  // Fixed items get examined rather than taken from the panel
+  const fixed = () => getClientState(state).room.items.map((item) => [item.id, item.fixed]);
+  assert.deepEqual(fixed(), [["lantern", false]]);
+  assert.equal(getClientState(state).room.items[0].shortName, "lantern");
+
+  play(["take lantern", "go north"], state);
+  assert.deepEqual(getClientState(state).inventory, [
+    {
+      id: "lantern",
+      name: "lantern",
+      states: ["unlit"],
+      description: "A rusty but functional lantern. It still smells faintly of oil.",
+    },
+  ]);
+  assert.deepEqual(fixed(), [
+    ["lighthouseDoor", true],
+    ["stoneBox", true],
+    ["lighthouse", true],
+    ["smallKey", false],
+    ["tornPage", false],
+  ]);
+});
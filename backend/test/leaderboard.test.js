@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createLeaderboard, cleanName } = require("../leaderboard");
+const { computeResult, recordTurnStats } = require("../scoring");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse("2026-03-10T12:00:00Z");
+
+function tempFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), "lighthouse-board-")), "board.json");
+}
+
+function entry(sessionId, fields) {
+  return {
+    sessionId,
+    name: sessionId,
+    language: "en",
+    score: 800,
+    durationSeconds: 300,
+    turns: 12,
+    failedCommands: 0,
+    hintsUsed: 0,
+    finishedAt: new Date(NOW).toISOString(),
+    ...fields,
+  };
+}
+
+test("entries rank by score, then time, then who finished first", () => {
+  const board = createLeaderboard({ file: tempFile(), now: () => NOW });
+  board.add(entry("slow", { durationSeconds: 900 }));
+  board.add(entry("fast", { durationSeconds: 200 }));
+  board.add(entry("best", { score: 950 }));
+  const late = board.add(entry("late", { durationSeconds: 200, finishedAt: new Date(NOW + 1000).toISOString() }));
+
+  assert.deepEqual(board.list().map((e) => [e.rank, e.name]), [
+    [1, "best"],
+    [2, "fast"],
+    [3, "late"],
+    [4, "slow"],
+  ]);
+  assert.equal(late.rank, 3);
+  assert.ok(board.has("slow"));
+  assert.ok(!board.has("missing"));
+});
+
+test("the board filters by language and period", () => {
+  const board = createLeaderboard({ file: tempFile(), now: () => NOW });
+  board.add(entry("today"));
+  board.add(entry("lastWeek", { finishedAt: new Date(NOW - 3 * DAY_MS).toISOString() }));
+  board.add(entry("lastYear", { finishedAt: new Date(NOW - 300 * DAY_MS).toISOString() }));
+  board.add(entry("turkish", { language: "tr" }));
+
+  const names = (options) => board.list(options).map((e) => e.name);
+  assert.deepEqual(names({ language: "en", period: "day" }), ["today"]);
+  assert.deepEqual(names({ language: "en", period: "week" }), ["lastWeek", "today"]);
+  assert.equal(names({ period: "all" }).length, 4);
+  assert.deepEqual(names({ language: "tr" }), ["turkish"]);
+  assert.equal(names({ limit: 2 }).length, 2);
+});
+
+test("the board survives a restart", () => {
+  const file = tempFile();
+  createLeaderboard({ file, now: () => NOW }).add(entry("kept"));
+
+  const reloaded = createLeaderboard({ file, now: () => NOW });
+  assert.deepEqual(reloaded.list().map((e) => e.name), ["kept"]);
+  assert.ok(reloaded.has("kept"));
+});
+
+test("names are cleaned before they go on the board", () => {
+  assert.equal(cleanName("  Ada \n Lovelace\u0000 "), "Ada Lovelace");
+  assert.equal(cleanName("x".repeat(40)).length, 24);
+  assert.equal(cleanName("​"), "");
+  assert.equal(cleanName(42), "");
+});
+
+test("a chain of commands typed at once is one turn", () => {
+  const session = {};
+  recordTurnStats(session, [{ ok: true }, { ok: true }, { ok: false }]);
+  recordTurnStats(session, [{ ok: true }, { ok: true }]);
+
+  assert.deepEqual(session.stats, { turns: 2, failedCommands: 1 });
+});
+
+test("scores fall with turns, failures, hints and time", () => {
+  const session = {
+    createdAt: NOW,
+    finishedAt: NOW + 4 * 60 * 1000 + 30 * 1000,
+    state: { gameComplete: true, ending: "beaconLit", hints: { used: 2 } },
+  };
+  recordTurnStats(session, [{ ok: true }]);
+  recordTurnStats(session, [{ ok: false }]);
+  recordTurnStats(session, [{ ok: true }], { wasComplete: true });
+
+  assert.deepEqual(computeResult(session), {
+    ending: "beaconLit",
+    won: true,
+    startedAt: new Date(NOW).toISOString(),
+    finishedAt: new Date(NOW + 270000).toISOString(),
+    durationSeconds: 270,
+    turns: 2,
+    failedCommands: 1,
+    hintsUsed: 2,
+    score: 1000 - 2 * 5 - 10 - 2 * 50 - 4 * 5,
+  });
+  assert.equal(computeResult({ ...session, stats: { turns: 500, failedCommands: 0 } }).score, 100);
+  assert.equal(computeResult({ ...session, state: { gameComplete: false, hints: { used: 0 } } }), null);
+
+  const lost = computeResult({ ...session, state: { ...session.state, ending: "longDark" } });
+  assert.equal(lost.ending, "longDark");
+  assert.equal(lost.won, false);
+});
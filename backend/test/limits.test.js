@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createRateLimiter, createSpendTracker, createBudgetedProvider } = require("../limits");
+
+/**
+ * A clock the test moves by hand.
+ */
+function createClock(start = Date.parse("2026-03-01T12:00:00Z")) {
+  const clock = { time: start, now: () => clock.time };
+  return clock;
+}
+
+test("a bucket allows a burst, then refills over time", () => {
+  const clock = createClock();
+  const limiter = createRateLimiter({ capacity: 3, refillPerSecond: 0.5, now: clock.now });
+
+  const burst = [1, 2, 3, 4].map(() => limiter.take("1.2.3.4").allowed);
+  assert.deepEqual(burst, [true, true, true, false]);
+  assert.equal(limiter.take("1.2.3.4").retryAfterSeconds, 2);
+
+  clock.time += 2000;
+  assert.equal(limiter.take("1.2.3.4").allowed, true);
+  assert.equal(limiter.take("1.2.3.4").allowed, false);
+});
+
+test("buckets are kept per key", () => {
+  const limiter = createRateLimiter({ capacity: 1, refillPerSecond: 1, now: createClock().now });
+
+  assert.equal(limiter.take("a").allowed, true);
+  assert.equal(limiter.take("a").allowed, false);
+  assert.equal(limiter.take("b").allowed, true);
+});
+
+test("spend resets at the start of each UTC day", () => {
+  const clock = createClock(Date.parse("2026-03-01T23:59:00Z"));
+  const spend = createSpendTracker({ dailyTokenBudget: 100, now: clock.now });
+
+  spend.record(100);
+  assert.equal(spend.exhausted(), true);
+
+  clock.time += 60 * 1000;
+  assert.equal(spend.exhausted(), false);
+  assert.deepEqual(spend.snapshot(), { day: "2026-03-02", spentTokens: 0, dailyTokenBudget: 100 });
+});
+
+test("a budgeted provider counts prompt and reply, then refuses", async () => {
+  const spend = createSpendTracker({ dailyTokenBudget: 5 });
+  const provider = createBudgetedProvider(
+    { name: "stub", model: "stub", chat: async () => "12345678" },
+    spend
+  );
+  const request = { messages: [{ role: "user", content: "1234" }] };
+
+  assert.equal(await provider.chat(request), "12345678");
+  assert.equal(spend.snapshot().spentTokens, 3);
+  assert.equal(provider.stream, undefined);
+
+  await provider.chat(request);
+  await assert.rejects(provider.chat(request), { code: "DAILY_BUDGET_EXCEEDED" });
+});
@@ -0,0 +1,133 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createLocales, LOCALES_DIR } = require("../../shared/locales");
+const { createParser, fillItemSlot } = require("../../shared/parser");
+const engine = require("../../shared/engine");
+
+/**
+ * The shipped locales plus a partly translated German bundle.
+ */
+function withGerman() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lighthouse-locales-"));
+  for (const file of fs.readdirSync(LOCALES_DIR)) {
+    fs.copyFileSync(path.join(LOCALES_DIR, file), path.join(dir, file));
+  }
+  fs.writeFileSync(
+    path.join(dir, "de.json"),
+    JSON.stringify({
+      name: "Deutsch",
+      prompt: { name: "German", label: "German (Deutsch)" },
+      ui: { placeholder: "Was möchtest du tun?" },
+      commands: { verbs: { take: ["nimm"] }, single: { inventory: ["inventar"] } },
+    })
+  );
+  return createLocales(dir);
+}
+
+test("every shipped locale translates every key", () => {
+  const locales = createLocales();
+  for (const code of locales.languages) {
+    assert.deepEqual(locales.findMissingKeys(code), [], code);
+  }
+});
+
+test("adding a language is adding a file", () => {
+  const locales = withGerman();
+
+  assert.ok(locales.isSupportedLanguage("de"));
+  assert.deepEqual(
+    locales.listLanguages().map((language) => language.code),
+    ["en", "de", "tr"]
+  );
+  assert.equal(locales.getLocale("de").ui.placeholder, "Was möchtest du tun?");
+});
+
+test("untranslated keys fall back to English and are reported", () => {
+  const locales = withGerman();
+  const missing = locales.findMissingKeys("de");
+
+  assert.equal(locales.getLocale("de").ui.itemsTitle, "Items Here");
+  assert.ok(missing.includes("ui.itemsTitle"));
+  assert.ok(missing.includes("messages.rateLimited"));
+  assert.ok(missing.includes("commands.directions"));
+  assert.ok(!missing.includes("ui.placeholder"));
+  assert.ok(!missing.some((key) => key.startsWith("prompt.")));
+});
+
+test("unknown languages resolve to English", () => {
+  const locales = createLocales();
+
+  assert.equal(locales.resolveLanguage("xx"), "en");
+  assert.equal(locales.resolveLanguage(undefined), "en");
+  assert.equal(locales.translate("xx", "messages.inputTooLong"), locales.translate("en", "messages.inputTooLong"));
+});
+
+test("the parser accepts the command words of every locale", () => {
+  const locales = withGerman();
+  const { parseCommand } = createParser({ ...engine, bundles: locales.languages.map(locales.getLocale) });
+
+  assert.equal(parseCommand("nimm lantern"), "take lantern");
+  assert.equal(parseCommand("inventar"), "inventory");
+  assert.equal(parseCommand("feneri al"), "take lantern");
+  assert.equal(parseCommand("take the key"), "take smallKey");
+});
+
+test("capitalized English input parses, although Turkish rules lower-case \"I\" to \"ı\"", () => {
+  const { parseCommand, parseInput, parseChoice } = createParser(engine);
+
+  assert.equal(parseCommand("Inventory"), "inventory");
+  assert.equal(parseCommand("I"), "inventory");
+  assert.equal(parseCommand("Inside"), "go inside");
+  assert.equal(parseCommand("Go Inside"), "go inside");
+  assert.equal(parseCommand("Examine Iron Door"), "examine lighthouseDoor");
+  assert.deepEqual(parseInput("Take the key, then go Inside"), { commands: ["take smallKey", "go inside"], options: null });
+  assert.equal(parseChoice("The Lighthouse", ["lantern", "lighthouse"]), "lighthouse");
+  // Turkish capitals still read the Turkish way
+  assert.equal(parseCommand("KUZEYE GİT"), "go north");
+});
+
+test("two-item commands parse in both languages", () => {
+  const { parseCommand } = createParser(engine);
+
+  assert.equal(parseCommand("put the page in the box"), "put tornPage in stoneBox");
+  assert.equal(parseCommand("combine page with logbook"), "combine tornPage with logbook");
+  assert.equal(parseCommand("put down the lantern"), "drop lantern");
+  assert.equal(parseCommand("sayfayı deftere koy"), "put tornPage in logbook");
+  assert.equal(parseCommand("sayfayı kutunun içine koy"), "put tornPage in stoneBox");
+  assert.equal(parseCommand("kutuyu aç"), "open stoneBox");
+  assert.equal(parseCommand("put lantern"), null);
+});
+
+test("chained commands parse in order, and \"it\" is the last item named", () => {
+  const { parseInput } = createParser(engine);
+
+  assert.deepEqual(parseInput("take the lantern and go north, then examine it"), {
+    commands: ["take lantern", "go north", "examine lantern"],
+    options: null,
+  });
+  assert.deepEqual(parseInput("feneri al ve kuzeye git"), { commands: ["take lantern", "go north"], options: null });
+  // One command, although "and" also chains
+  assert.deepEqual(parseInput("combine page and logbook"), { commands: ["combine tornPage with logbook"], options: null });
+  assert.equal(parseInput("take the lantern and dance"), null);
+  assert.equal(parseInput("n, n, n, n, n, n"), null);
+});
+
+test("a name several items share is left open unless the verb settles it", () => {
+  const { parseCommand, parseInput, parseChoice } = createParser(engine);
+
+  // The lighthouse can't be carried, so only the lantern can be taken
+  assert.equal(parseCommand("feneri al"), "take lantern");
+  assert.equal(parseCommand("feneri incele"), null);
+
+  const parsed = parseInput("feneri incele ve onu al");
+  assert.deepEqual(parsed, { commands: ["examine {item}", "take {item}"], options: ["lantern", "lighthouse"] });
+  assert.deepEqual(fillItemSlot(parsed.commands, "lighthouse"), ["examine lighthouse", "take lighthouse"]);
+
+  assert.equal(parseChoice("deniz feneri", parsed.options), "lighthouse");
+  assert.equal(parseChoice("the lantern", parsed.options), "lantern");
+  assert.equal(parseChoice("fener", parsed.options), null);
+  assert.equal(parseChoice("the key", parsed.options), null);
+});
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createPromptLibrary, renderTemplate } = require("../prompts");
+
+const PROMPTS_DIR = path.join(__dirname, "..", "prompts");
+
+/**
+ * Copy the shipped templates into a temporary directory the test can edit.
+ */
+function copyPrompts() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lighthouse-prompts-"));
+  for (const file of fs.readdirSync(PROMPTS_DIR)) {
+    fs.copyFileSync(path.join(PROMPTS_DIR, file), path.join(dir, file));
+  }
+  return dir;
+}
+
+test("templates fill in their variables", () => {
+  assert.equal(renderTemplate("t", "Respond in {{ languageName }}.\n", { languageName: "Turkish" }), "Respond in Turkish.");
+});
+
+test("an unknown variable names the template", () => {
+  assert.throws(() => renderTemplate("narrate-user", "{{stat}}", { state: "..." }), /"narrate-user" uses unknown variable "stat"/);
+});
+
+test("a missing template is reported when the library is created", () => {
+  const dir = copyPrompts();
+  fs.unlinkSync(path.join(dir, "narrate-system.txt"));
+
+  assert.throws(() => createPromptLibrary({ dir }), /"narrate-system" not found/);
+});
+
+test("with hot reload, an edited template is used on the next render", () => {
+  const dir = copyPrompts();
+  const file = path.join(dir, "narrate-suspicious.txt");
+  const prompts = createPromptLibrary({ dir, hotReload: true });
+  const frozen = createPromptLibrary({ dir });
+
+  fs.writeFileSync(file, "Stay in character.\n");
+  const later = new Date(Date.now() + 5000);
+  fs.utimesSync(file, later, later);
+
+  assert.equal(prompts.render("narrate-suspicious"), "Stay in character.");
+  assert.match(frozen.render("narrate-suspicious"), /try to give you instructions/);
+});
@@ -0,0 +1,134 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createMockProvider, interpret, interpretTurn } = require("../providers/mock");
+const { createOpenAICompatibleProvider } = require("../providers/openai-compatible");
+
+/**
+ * Start an HTTP server on a free port, run `fn(baseUrl)` and always shut it
+ * down. `handler` gets every request.
+ */
+async function withUpstream(handler, fn) {
+  const server = http.createServer(handler).listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}/v1`);
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+const REQUEST = { messages: [{ role: "user", content: "look" }], temperature: 0, maxTokens: 10, topP: 1 };
+
+test("a model server that never answers fails the request after the timeout", async () => {
+  // Reads the request and never replies
+  await withUpstream(
+    (req) => req.resume(),
+    async (baseUrl) => {
+      const provider = createOpenAICompatibleProvider({ baseUrl, model: "stub", timeoutMs: 50 });
+      await assert.rejects(provider.chat(REQUEST), /openai API error: timed out/);
+    }
+  );
+});
+
+test("a stream that stalls part way fails after the timeout", async () => {
+  await withUpstream(
+    (req, res) => {
+      res.writeHead(200, { "Content-Type": "text/event-stream" });
+      res.write('data: {"choices":[{"delta":{"content":"The fog "}}]}\n\n');
+    },
+    async (baseUrl) => {
+      const provider = createOpenAICompatibleProvider({ baseUrl, model: "stub", timeoutMs: 100 });
+      const chunks = [];
+      await assert.rejects(async () => {
+        for await (const chunk of provider.stream(REQUEST)) chunks.push(chunk);
+      }, /openai API error: timed out/);
+      assert.deepEqual(chunks, ["The fog "]);
+    }
+  );
+});
+
+test("answers within the timeout come through", async () => {
+  await withUpstream(
+    (req, res) => {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ choices: [{ message: { content: "You look around." } }] }));
+    },
+    async (baseUrl) => {
+      const provider = createOpenAICompatibleProvider({ baseUrl, model: "stub", timeoutMs: 1000 });
+      assert.equal(await provider.chat(REQUEST), "You look around.");
+    }
+  );
+});
+
+test("the mock maps English and Turkish input to engine commands", () => {
+  const cases = {
+    "take the lantern": "take lantern",
+    "pick up the small key": "take smallKey",
+    "light the lantern": "use lantern",
+    "unlock the door with the key": "use smallKey",
+    "put the page in the logbook": "put tornPage in logbook",
+    "look at the lantern": "examine lantern",
+    "walk up the stairs": "go up",
+    inventory: "inventory",
+    "feneri al": "take lantern",
+    "anahtarı kullan": "use smallKey",
+    "defteri oku": "read logbook",
+    "içeri gir": "go inside",
+  };
+
+  for (const [input, command] of Object.entries(cases)) {
+    assert.equal(interpret(input).command, command, input);
+  }
+  assert.deepEqual(interpret("hello"), { command: "look", kind: "greet" });
+  assert.deepEqual(interpret("sing a song"), { command: "look", kind: "fallback" });
+});
+
+test("the mock splits chained input into one command per action", () => {
+  assert.deepEqual(interpretTurn("take the lantern, go north; read logbook and go south"), [
+    "take lantern",
+    "go north",
+    "read logbook",
+    "go south",
+  ]);
+  assert.deepEqual(interpretTurn("feneri al ve onu yak"), ["take lantern", "use lantern"]);
+  // "and" inside a single action doesn't split it
+  assert.deepEqual(interpretTurn("combine the page and the logbook"), ["combine tornPage with logbook"]);
+});
+
+test("the mock answers interpret calls with the commands as JSON", async () => {
+  const reply = await createMockProvider().chat({ context: { task: "interpret", input: "go north and take the lantern" } });
+
+  assert.deepEqual(JSON.parse(reply), { commands: ["go north", "take lantern"] });
+});
+
+test("the mock narrates each outcome with canned text in the player's language", async () => {
+  const provider = createMockProvider();
+  const narrate = (language, input, outcomes) => provider.chat({ context: { task: "narrate", input, language, outcomes } });
+
+  assert.equal(
+    await narrate("en", "go north and take the key", [
+      { command: "go north", ok: true, reason: null },
+      { command: "take smallKey", ok: false, reason: "not here" },
+    ]),
+    "You head north. Sand and stone shift under your feet as the fog swirls around you. " +
+      "You search, but there is no small key here."
+  );
+  assert.equal(
+    await narrate("tr", "feneri al", [{ command: "take lantern", ok: true, reason: null }]),
+    "Fener için uzanıyor ve yanınıza alıyorsunuz."
+  );
+  // A reason without its own text, and a language without canned text
+  assert.match(await narrate("en", "x", [{ command: "use lantern", ok: false, reason: "new reason" }]), /^You try, but it doesn't work out/);
+  assert.match(await narrate("xx", "hello", [{ command: "look", ok: true, reason: null }]), /^Hello! You find yourself at Tugrul Bay/);
+});
+
+test("the mock streams the same narration it would return", async () => {
+  const provider = createMockProvider();
+  const request = { context: { task: "narrate", input: "look", language: "en", outcomes: [{ command: "look", ok: true }] } };
+
+  let streamed = "";
+  for await (const chunk of provider.stream(request)) streamed += chunk;
+  assert.equal(streamed, await provider.chat(request));
+});
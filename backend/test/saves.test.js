@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createApp } = require("../server");
+const { createLeaderboard } = require("../leaderboard");
+const { createMockProvider } = require("../providers/mock");
+const { hmac } = require("../secret");
+const { SAVE_VERSION } = require("../saves");
+const { createGameState } = require("../../shared/engine");
+
+/**
+ * Start the app on a free port, run `fn(baseUrl)` and always shut it down.
+ */
+async function withServer(fn) {
+  const leaderboard = createLeaderboard({
+    file: path.join(fs.mkdtempSync(path.join(os.tmpdir(), "lighthouse-board-")), "leaderboard.json"),
+  });
+  const server = createApp({ provider: createMockProvider(), leaderboard }).listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+async function post(url, body) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function saveOfNewGame(baseUrl) {
+  const { body } = await post(`${baseUrl}/sessions`, { language: "en" });
+  await post(`${baseUrl}/sessions/${body.sessionId}/input`, { input: "go north" });
+  return (await (await fetch(`${baseUrl}/sessions/${body.sessionId}/save`)).json()).save;
+}
+
+/**
+ * A save as the first save format wrote it: no hints, stats, ending,
+ * container contents or hint cooldown. The player is on the beach holding
+ * the lantern.
+ */
+function createVersion1Save() {
+  const { hints, containers, ending, ...state } = createGameState("en");
+  state.currentRoomId = "beach";
+  state.inventory = ["lantern"];
+  state.roomItems.beach = state.roomItems.beach.filter((id) => id !== "lantern");
+  state.flags.visited_beach = true;
+  state.puzzleProgress.foundLantern = true;
+
+  const game = {
+    createdAt: Date.parse("2026-01-10T09:00:00Z"),
+    finishedAt: null,
+    completionCode: null,
+    state,
+    history: { summary: "", turns: [] },
+  };
+  return {
+    format: "tugrul-lighthouse-save",
+    version: 1,
+    savedAt: "2026-01-10T09:05:00.000Z",
+    game,
+    signature: hmac(`save:1:${JSON.stringify(game)}`),
+  };
+}
+
+test("a save restores into a new session", async () => {
+  await withServer(async (baseUrl) => {
+    const save = await saveOfNewGame(baseUrl);
+    const { status, body } = await post(`${baseUrl}/sessions/restore`, { save });
+
+    assert.equal(save.version, SAVE_VERSION);
+    assert.equal(status, 201);
+    assert.equal(body.state.currentRoomId, "beach");
+  });
+});
+
+test("a save changed after signing is rejected", async () => {
+  await withServer(async (baseUrl) => {
+    const save = await saveOfNewGame(baseUrl);
+    const edited = { ...save, game: { ...save.game, state: { ...save.game.state, inventory: ["lantern", "smallKey"] } } };
+    // Signed again, but with a key other than the server's
+    const forged = { ...edited, signature: hmac(`save:${SAVE_VERSION}:${JSON.stringify(edited.game)}`, "guessed key") };
+
+    for (const tampered of [edited, forged, { ...save, signature: undefined }]) {
+      const { status, body } = await post(`${baseUrl}/sessions/restore`, { save: tampered });
+      assert.equal(status, 400);
+      assert.equal(body.error, "This save file has been modified or was made by another server.");
+    }
+  });
+});
+
+test("a file that isn't a save, or a save version this server doesn't know, is rejected", async () => {
+  await withServer(async (baseUrl) => {
+    const save = await saveOfNewGame(baseUrl);
+
+    for (const notASave of [undefined, "save", [], { ...save, format: "other-game-save" }]) {
+      const { status, body } = await post(`${baseUrl}/sessions/restore`, { save: notASave });
+      assert.equal(status, 400);
+      assert.equal(body.error, "This is not a save file for this game.");
+    }
+    for (const version of [0, SAVE_VERSION + 1, "6", 1.5]) {
+      const { status, body } = await post(`${baseUrl}/sessions/restore`, { save: { ...save, version } });
+      assert.equal(status, 400);
+      assert.equal(body.error, `Unsupported save version ${version}.`);
+    }
+  });
+});
+
+test("a version 1 save is migrated to the current shape", async () => {
+  await withServer(async (baseUrl) => {
+    const { status, body } = await post(`${baseUrl}/sessions/restore`, { save: createVersion1Save() });
+    assert.equal(status, 201);
+    assert.equal(body.state.currentRoomId, "beach");
+    assert.equal(body.state.hintCooldownSeconds, 0);
+
+    const { save } = await (await fetch(`${baseUrl}/sessions/${body.sessionId}/save`)).json();
+    const { game } = save;
+    assert.equal(save.version, SAVE_VERSION);
+    assert.equal(game.createdAt, Date.parse("2026-01-10T09:00:00Z"));
+    assert.equal(game.nextHintAt, null);
+    assert.deepEqual(game.stats, { turns: 0, failedCommands: 0 });
+    assert.deepEqual(game.state.inventory, ["lantern"]);
+    assert.deepEqual(game.state.hints, { used: 0, tiers: {} });
+    assert.equal(game.state.ending, null);
+    assert.deepEqual(game.state.containers, createGameState("en").containers);
+    assert.equal(game.state.puzzleProgress.foundLantern, true);
+
+    // The migrated game plays on
+    const turn = await post(`${baseUrl}/sessions/${body.sessionId}/input`, { input: "use lantern" });
+    assert.equal(turn.body.commandSucceeded, true);
+  });
+});
@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { execFile } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { DEFAULT_WORLD_PATH, normalizeWorld } = require("../../shared/world");
+const { validateWorld } = require("../../shared/world-validator");
+
+const CLI = path.join(__dirname, "..", "scripts", "validate-world.js");
+
+/**
+ * The shipped world file as raw JSON, with `breakIt` applied to a copy.
+ */
+function brokenWorld(breakIt) {
+  const data = JSON.parse(fs.readFileSync(DEFAULT_WORLD_PATH, "utf8"));
+  breakIt(data);
+  return data;
+}
+
+function errorsOf(data) {
+  return validateWorld(normalizeWorld(data, "fixture")).errors;
+}
+
+test("a room no exit leads to is reported", () => {
+  const data = brokenWorld((world) => {
+    world.rooms.cellar = {
+      name: { en: "Cellar", tr: "Mahzen" },
+      short: { en: "A damp cellar.", tr: "Nemli bir mahzen." },
+      description: { en: "A damp cellar.", tr: "Nemli bir mahzen." },
+      exits: { up: "pier" },
+    };
+  });
+
+  assert.deepEqual(errorsOf(data), ['room "cellar" is unreachable from "pier"']);
+});
+
+test("an item chain that can't be finished is reported with the steps it blocks", () => {
+  // Without its rule the key no longer unlocks the door
+  const data = brokenWorld((world) => {
+    delete world.items.smallKey.use;
+  });
+
+  assert.deepEqual(errorsOf(data), [
+    "puzzle chain is unwinnable: no sequence of commands completes unlockedDoor, reachedTop, litBeacon",
+  ]);
+});
+
+test("a text without one of the world's languages is reported", () => {
+  const data = brokenWorld((world) => {
+    delete world.rooms.beach.description.tr;
+    world.items.lantern.aliases.tr = [];
+  });
+
+  assert.deepEqual(errorsOf(data), [
+    'room "beach" description: missing "tr" translation',
+    'item "lantern" aliases: missing "tr" translation',
+  ]);
+});
+
+test("references to items that don't exist are reported", () => {
+  const data = brokenWorld((world) => {
+    world.rooms.beach.items.push("crowbar");
+    world.items.smallKey.use[0].if = { has: "crowbar" };
+  });
+
+  assert.deepEqual(errorsOf(data), [
+    'room "beach": contains missing item "crowbar"',
+    'item "smallKey" use rule 1: condition refers to missing item "crowbar"',
+  ]);
+});
+
+test("the CLI prints each error and exits with 1", async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "lighthouse-world-")), "broken.json");
+  fs.writeFileSync(file, JSON.stringify(brokenWorld((world) => world.rooms.beach.items.push("crowbar"))));
+
+  const { code, stdout } = await new Promise((resolve) => {
+    execFile(process.execPath, [CLI, file], (err, stdout) => resolve({ code: err ? err.code : 0, stdout }));
+  });
+
+  assert.equal(code, 1);
+  assert.match(stdout, /^ERROR room "beach": contains missing item "crowbar"$/m);
+  assert.match(stdout, /broken\.json: 1 error\(s\)/);
+});
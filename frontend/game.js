@@ -1,627 +1,1179 @@
 /**
- * Simple text adventure engine + Mistral integration
- * - State is kept in the browser
- * - Engine commands: look, go <direction>, take <item>, inventory, examine <item>, use <item>
- * - handleUserInput() calls the backend, which calls Mistral and returns { command, narration }.
- * - Then we run the engine command locally.
+ * Text adventure client + Mistral integration
+ * - The game engine and state live on the server (see shared/engine.js)
+ * - The browser starts a session, posts player input and renders the returned state
+ * - handleUserInput() calls the backend, which calls Mistral, runs the engine
+ *   command and returns { narration, state }. The narration is streamed in
+ *   with a typing effect when the browser and server support it.
+ * - After every turn the server-signed save is kept in localStorage, so a reload
+ *   resumes the game; save slots and export/import use the same save files.
  */
 
-const gameState = {
-    currentRoomId: "pier",
+// Mirror of the server-side game state, used for rendering only.
+// The backend owns the real state; we never send it back.
+let gameState = {
+    currentRoomId: null,
+    room: null,
     inventory: [],
-    flags: {
-      lighthouseDoorUnlocked: false,
-      lanternLit: false,
-      firstLook: true,
-    },
-    puzzleProgress: {
-      foundLantern: false,
-      litLantern: false,
-      foundKey: false,
-      unlockedDoor: false,
-      reachedTop: false,
-      litBeacon: false,
-    },
+    puzzleProgress: {},
     gameComplete: false,
-    password: null,
+    ending: null,
+    map: null,
+    completionCode: null,
     language: "en",
   };
-  
-  const rooms = {
-    pier: {
-      id: "pier",
-      name: "Old Pier",
-      short: "You stand on a rotten wooden pier in the middle of a foggy night.",
-      description:
-        "The fog is thick, waves crash somewhere in the dark. Behind you, the pier leads back to the shore; ahead, a faint light marks the outline of a distant lighthouse.",
-      exits: {
-        north: "beach",
-      },
-      items: [],
-    },
-    beach: {
-      id: "beach",
-      name: "Beach",
-      short: "Cold sand stretches around you at the start of a narrow path to the lighthouse.",
-      description:
-        "Broken planks from an old crate, seaweed tangled in the wind, and a half-buried rusty lantern lie on the beach. To the north: the lighthouse. To the south: the pier.",
-      exits: {
-        south: "pier",
-        north: "lighthouseExterior",
-      },
-      items: ["lantern"],
-    },
-    lighthouseExterior: {
-      id: "lighthouseExterior",
-      name: "Lighthouse Entrance",
-      short: "You stand at the foot of a tall lighthouse.",
-      description:
-        "The tower rises above you, disappearing into the fog. A heavy iron door looks firmly locked. Next to it, a small stone box juts out from the wall.",
-      exits: {
-        south: "beach",
-        inside: "lighthouseInterior",
-      },
-      items: ["smallKey"],
-    },
-    lighthouseInterior: {
-      id: "lighthouseInterior",
-      name: "Lighthouse Base",
-      short: "You are inside the base of the lighthouse.",
-      description:
-        "Stone walls close in around you. A narrow spiral staircase climbs upwards. You can feel a faint draft and see a sliver of light far above.",
-      exits: {
-        down: "lighthouseExterior",
-        up: "lighthouseTop",
-      },
-      items: [],
-    },
-    lighthouseTop: {
-      id: "lighthouseTop",
-      name: "Lamp Room",
-      short: "You have reached the top of the lighthouse.",
-      description:
-        "Old lenses and rusted machinery surround you. The lamp has long been extinguished. Maybe it can be lit again.",
-      exits: {
-        down: "lighthouseInterior",
-      },
-      items: [],
-    },
-  };
-  
-  const itemDescriptions = {
-    lantern: "A rusty but functional lantern. It still smells faintly of oil.",
-    smallKey: "A small key, corroded by salt. The letters 'L.F.' are scratched into the metal.",
-  };
+  let sessionId = null;
+  let gameStarted = false;
+
+  // Narration log entries, kept so saves can restore the log
+  const MAX_LOG_ENTRIES = 300;
+
+  // Milliseconds between typed characters of streamed narration
+  const TYPING_INTERVAL_MS = 20;
+  let logEntries = [];
+
+  const AUTOSAVE_KEY = "tugrul-lighthouse:autosave";
+  const SAVE_SLOT_KEY_PREFIX = "tugrul-lighthouse:slot:";
+  const SAVE_SLOT_COUNT = 3;
+
+  // Ids of the endings this browser has reached, across games
+  const ENDINGS_KEY = "tugrul-lighthouse:endings";
   
   const logEl = document.getElementById("log");
   const locationNameEl = document.getElementById("location-name");
   const locationMetaEl = document.getElementById("location-meta");
   const inputEl = document.getElementById("cmd-input");
   const sendBtn = document.getElementById("cmd-send");
+  const suggestionsEl = document.getElementById("cmd-suggestions");
+  const hintBtn = document.getElementById("cmd-hint");
   const dashboardItemsEl = document.getElementById("dashboard-items");
+  const dashboardInventoryEl = document.getElementById("dashboard-inventory");
   const dashboardDirectionsEl = document.getElementById("dashboard-directions");
+  const dashboardMapEl = document.getElementById("dashboard-map");
   const languageSelectorEl = document.getElementById("language-selector");
+  const languageButtonsEl = document.getElementById("language-buttons");
+  const languageSwitchEl = document.getElementById("language-switch");
+  const resumeErrorEl = document.getElementById("resume-error");
+  const resumeRetryBtn = document.getElementById("resume-retry");
   const helpHintEl = document.getElementById("help-hint");
+  const saveMenuEl = document.getElementById("save-menu");
+  const saveMenuBtn = document.getElementById("save-menu-btn");
+  const saveSlotsEl = document.getElementById("save-slots");
+  const importInputEl = document.getElementById("save-import-input");
+  const leaderboardPanelEl = document.getElementById("leaderboard-panel");
+  const leaderboardFormEl = document.getElementById("leaderboard-form");
+  const leaderboardNameEl = document.getElementById("leaderboard-name");
+  const leaderboardMessageEl = document.getElementById("leaderboard-message");
+  const leaderboardPeriodEl = document.getElementById("leaderboard-period");
+  const leaderboardListEl = document.getElementById("leaderboard-list");
+  const endingsPanelEl = document.getElementById("endings-panel");
+  const endingsCountEl = document.getElementById("endings-count");
+  const endingsListEl = document.getElementById("endings-list");
+
+  // UI strings of the current language, from the server's locale bundles
+  // (shared/locales/*.json). Strings a language lacks arrive in English.
+  let uiStrings = {};
+  const localeCache = {};
+
+  // Command words of the current language (the bundle's "commands"), for completion
+  let commandWords = {};
+
+  function t(key) {
+    return uiStrings[key] || key;
+  }
+
+  // A UI string with its {placeholders} filled in
+  function format(key, values) {
+    return t(key).replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+  }
+
+  /**
+   * Fetch the locale bundle of a language (once) from GET /locales/:lang.
+   */
+  async function loadLocale(lang) {
+    if (!localeCache[lang]) {
+      const response = await fetch(`/locales/${encodeURIComponent(lang)}`);
+      if (!response.ok) {
+        throw new Error("Could not load language " + lang + ": " + response.status);
+      }
+      localeCache[lang] = await response.json();
+    }
+    return localeCache[lang];
+  }
   
-  function appendLog(message, type = "system") {
-    const line = document.createElement("div");
-    line.className = `log-line ${type}`;
-    line.innerHTML = message;
-    logEl.appendChild(line);
+  // ---- Safe log rendering ----
+  // Log text is never parsed as HTML. Lines are built from DOM nodes, and
+  // narration may only use the small markup subset in MARKUP_PATTERN.
+
+  // Prompt character shown before each kind of line
+  const LOG_PROMPTS = {
+    system: "•",
+    important: "!",
+    command: "$",
+    response: ">",
+    hint: "?",
+  };
+
+  // *emphasis*, **strong** and [[item]] highlights - nothing else, no nesting
+  const MARKUP_PATTERN = /\*\*([^*]+)\*\*|\*([^*]+)\*|\[\[([^\]]+)\]\]/g;
+
+  /**
+   * Append `text` to `parent` as text nodes, turning the markup subset into
+   * <strong>, <em> and item highlight spans.
+   */
+  function appendMarkup(parent, text) {
+    let last = 0;
+    for (const match of text.matchAll(MARKUP_PATTERN)) {
+      parent.appendChild(document.createTextNode(text.slice(last, match.index)));
+      const [, strong, em, item] = match;
+      const el = document.createElement(strong ? "strong" : em ? "em" : "span");
+      if (item) el.className = "log-item";
+      el.textContent = strong || em || item;
+      parent.appendChild(el);
+      last = match.index + match[0].length;
+    }
+    parent.appendChild(document.createTextNode(text.slice(last)));
+  }
+
+  /**
+   * Add a line to the log. `text` is plain text. Options:
+   * - prompt: character before the line (defaults per type, see LOG_PROMPTS)
+   * - markup: render the narration markup subset (for model narration)
+   * - highlight: "title" or "code" for the completion banner
+   */
+  function appendLog(text, type = "system", options = {}) {
+    const entry = { text: String(text), type, ...options };
+    recordLogEntry(entry);
+    renderLogLine(entry);
+  }
+
+  function recordLogEntry(entry) {
+    logEntries.push(entry);
+    if (logEntries.length > MAX_LOG_ENTRIES) {
+      logEntries = logEntries.slice(-MAX_LOG_ENTRIES);
+    }
+  }
+
+  /**
+   * Log entries from saves made before lines were stored as text held HTML
+   * ({ message, type }). Keep only their text - DOMParser never runs scripts.
+   */
+  function upgradeLogEntry(entry) {
+    if (typeof entry.text === "string") return entry;
+    const html = typeof entry.message === "string" ? entry.message : "";
+    const text = new DOMParser().parseFromString(html, "text/html").body.textContent.trim();
+    const prompt = text.charAt(0);
+    return {
+      text: text.slice(1).trim(),
+      type: LOG_PROMPTS[entry.type] ? entry.type : "system",
+      prompt,
+    };
+  }
+
+  function scrollLogToBottom() {
     // Use requestAnimationFrame to ensure smooth scrolling
     requestAnimationFrame(() => {
       logEl.scrollTop = logEl.scrollHeight;
     });
   }
-  
-  function updateDashboard() {
-    const room = rooms[gameState.currentRoomId];
-    if (!room) return;
 
-    const isTurkish = gameState.language === "tr";
-
-    // Direction translations
-    const directionTranslations = {
-      en: {
-        north: "north",
-        south: "south",
-        east: "east",
-        west: "west",
-        up: "up",
-        down: "down",
-        inside: "inside",
-      },
-      tr: {
-        north: "kuzey",
-        south: "güney",
-        east: "doğu",
-        west: "batı",
-        up: "yukarı",
-        down: "aşağı",
-        inside: "içeri",
-      },
-    };
+  /**
+   * Create an empty log line with its prompt. Returns the line and the
+   * element the text goes into.
+   */
+  function createLogLine(type, prompt = LOG_PROMPTS[type]) {
+    const line = document.createElement("div");
+    line.className = `log-line ${type}`;
+    if (prompt) {
+      const promptEl = document.createElement("span");
+      promptEl.className = "prompt";
+      promptEl.textContent = prompt;
+      line.appendChild(promptEl);
+      line.appendChild(document.createTextNode(" "));
+    }
+    const body = document.createElement("span");
+    line.appendChild(body);
+    logEl.appendChild(line);
+    return { line, body };
+  }
 
-    // Item translations
-    const itemTranslations = {
-      en: {
-        lantern: "a lantern",
-        smallKey: "a small key",
-      },
-      tr: {
-        lantern: "bir fener",
-        smallKey: "küçük bir anahtar",
-      },
-    };
+  function renderLogLine(entry) {
+    // Blank spacer lines have no prompt
+    const prompt = entry.text ? (entry.prompt ?? LOG_PROMPTS[entry.type]) : "";
+    const { body } = createLogLine(entry.type, prompt);
 
-    const translations = isTurkish ? directionTranslations.tr : directionTranslations.en;
-    const itemTrans = isTurkish ? itemTranslations.tr : itemTranslations.en;
-
-    // Update items dashboard
-    const itemNames = room.items || [];
-    if (itemNames.length > 0) {
-      const readable = itemNames
-        .map((id) => itemTrans[id] || id)
-        .map(item => `<div class="dashboard-item">• ${item}</div>`)
-        .join("");
-      dashboardItemsEl.innerHTML = readable;
+    if (entry.highlight) {
+      const strong = document.createElement("strong");
+      strong.className = `log-${entry.highlight}`;
+      strong.textContent = entry.text;
+      body.appendChild(strong);
+    } else if (entry.markup) {
+      appendMarkup(body, entry.text);
     } else {
-      dashboardItemsEl.innerHTML = '<span style="color: #6b7280;">-</span>';
+      body.textContent = entry.text;
     }
+    scrollLogToBottom();
+  }
 
-    // Update directions dashboard
-    const exits = Object.keys(room.exits || {});
-    if (exits.length > 0) {
-      const directions = exits
-        .map(dir => `<div class="dashboard-direction">• ${translations[dir] || dir}</div>`)
-        .join("");
-      dashboardDirectionsEl.innerHTML = directions;
-    } else {
-      dashboardDirectionsEl.innerHTML = '<span style="color: #6b7280;">-</span>';
+  /**
+   * A narration line that types itself out as text arrives. `add(text)` queues
+   * more text; `finish(finalText)` settles on the final narration and records
+   * it in the log (so saves have it even while it is still typing). Markup is
+   * typed as-is and rendered once the final text has been typed.
+   */
+  function createTypingLine() {
+    const { body } = createLogLine("response");
+    const textNode = document.createTextNode("");
+    body.appendChild(textNode);
+
+    let shown = "";
+    let queue = "";
+    let finalText = null;
+    let timer = null;
+
+    function tick() {
+      // Type faster when a lot of text is waiting, so we never fall far behind
+      const count = Math.max(1, Math.ceil(queue.length / 15));
+      shown += queue.slice(0, count);
+      queue = queue.slice(count);
+      textNode.data = shown;
+      scrollLogToBottom();
+
+      if (!queue) {
+        clearInterval(timer);
+        timer = null;
+        if (finalText !== null) {
+          body.replaceChildren();
+          appendMarkup(body, finalText);
+        }
+      }
+    }
+
+    function add(text) {
+      queue += text;
+      if (!timer) {
+        timer = setInterval(tick, TYPING_INTERVAL_MS);
+      }
+    }
+
+    function finish(text) {
+      finalText = text;
+      recordLogEntry({ text, type: "response", markup: true });
+      const streamed = shown + queue;
+      if (text.startsWith(streamed)) {
+        add(text.slice(streamed.length));
+      } else {
+        // The server settled on different text (e.g. a fallback) - retype it
+        shown = "";
+        queue = "";
+        add(text);
+      }
+      if (!timer) {
+        // Nothing left to type - render the markup right away
+        tick();
+      }
+    }
+
+    return { add, finish };
+  }
+  
+  /**
+   * Fill a dashboard panel with one line per entry, or a dash when empty.
+   */
+  function renderDashboardList(el, labels, className) {
+    el.replaceChildren();
+    if (labels.length === 0) {
+      const empty = document.createElement("span");
+      empty.className = "dashboard-empty";
+      empty.textContent = "-";
+      el.appendChild(empty);
+      return;
+    }
+    for (const label of labels) {
+      const row = document.createElement("div");
+      row.className = className;
+      row.textContent = `• ${label}`;
+      el.appendChild(row);
     }
   }
 
-  function setLocation(roomId) {
-    const room = rooms[roomId];
+  function updateDashboard() {
+    const room = gameState.room;
     if (!room) return;
-  
-    gameState.currentRoomId = roomId;
-    locationNameEl.textContent = room.name;
-    locationMetaEl.textContent = room.short;
-  
-    // Update dashboard instead of logging items/directions
-    updateDashboard();
-  
-    const firstTimeHereKey = `visited_${roomId}`;
-    const firstTime = !gameState.flags[firstTimeHereKey];
-  
-    if (firstTime) {
-      gameState.flags[firstTimeHereKey] = true;
-      // Don't log description here - let Mistral handle it in narration
+
+    // Names and direction labels arrive already localized from the server
+    renderRoomItems(room.items || []);
+    renderInventory(gameState.inventory || []);
+    renderDashboardList(
+      dashboardDirectionsEl,
+      (room.exits || []).map((exit) => exit.label),
+      "dashboard-direction"
+    );
+    renderMap();
+  }
+
+  // ---- Item actions: clicks that play a turn like typed input ----
+
+  // What can be done with a carried item: the engine verb and its button label
+  const INVENTORY_ACTIONS = [
+    { verb: "examine", label: "actionExamine" },
+    { verb: "use", label: "actionUse" },
+    { verb: "drop", label: "actionDrop" },
+  ];
+
+  // Inventory entries the player has opened, kept open across re-renders
+  const openInventoryItems = new Set();
+
+  /**
+   * Play an item action as a turn. The command names the item by its id, so
+   * a name two items share never needs a "which one?"; the log shows the
+   * action in the player's language instead.
+   */
+  function playItemAction(verb, labelKey, item) {
+    handleUserInput(`${verb} ${item.id}`, { echo: `${t(labelKey)}: ${item.name}` });
+  }
+
+  /**
+   * Items here, each a button: take it, or look closer at what can't be carried.
+   */
+  function renderRoomItems(items) {
+    if (items.length === 0) {
+      renderDashboardList(dashboardItemsEl, [], "dashboard-item");
+      return;
+    }
+    dashboardItemsEl.replaceChildren();
+    for (const item of items) {
+      const [verb, labelKey] = item.fixed ? ["examine", "actionExamine"] : ["take", "actionTake"];
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "dashboard-item dashboard-action";
+      button.textContent = `• ${item.name}`;
+      button.title = `${t(labelKey)}: ${item.name}`;
+      button.addEventListener("click", () => playItemAction(verb, labelKey, item));
+      dashboardItemsEl.appendChild(button);
     }
   }
-  
-  function describeCurrentRoom() {
-    // Don't log description here - let Mistral handle it in narration
-    // Just update dashboard
-    updateDashboard();
+
+  /**
+   * What the player carries: name and state ("lantern (lit)"), opening to the
+   * description and the INVENTORY_ACTIONS.
+   */
+  function renderInventory(inventory) {
+    if (inventory.length === 0) {
+      renderDashboardList(dashboardInventoryEl, [], "dashboard-item");
+      return;
+    }
+    dashboardInventoryEl.replaceChildren();
+    for (const item of inventory) {
+      const details = document.createElement("details");
+      details.className = "inventory-item";
+      details.open = openInventoryItems.has(item.id);
+      details.addEventListener("toggle", () => {
+        if (details.open) {
+          openInventoryItems.add(item.id);
+        } else {
+          openInventoryItems.delete(item.id);
+        }
+      });
+
+      const summary = document.createElement("summary");
+      summary.textContent = item.states.length > 0 ? `${item.name} (${item.states.join(", ")})` : item.name;
+      const description = document.createElement("div");
+      description.className = "inventory-description";
+      description.textContent = item.description;
+      const actions = document.createElement("div");
+      actions.className = "inventory-actions";
+      for (const action of INVENTORY_ACTIONS) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "btn btn-small btn-ghost";
+        button.textContent = t(action.label);
+        button.addEventListener("click", () => playItemAction(action.verb, action.label, item));
+        actions.appendChild(button);
+      }
+
+      details.append(summary, description, actions);
+      dashboardInventoryEl.appendChild(details);
+    }
   }
-  
-  function showHelp() {
-    // Don't show help - LLM will guide naturally
-    // This function is kept for compatibility but does nothing
+
+  // ---- Map of the explored rooms (state.map, laid out by the server) ----
+
+  const SVG_NS = "http://www.w3.org/2000/svg";
+  // SVG units between neighbouring rooms, the radius of a room's dot and the
+  // space kept right of the map for room names
+  const MAP_CELL = 36;
+  const MAP_ROOM_RADIUS = 7;
+  const MAP_LABEL_WIDTH = 110;
+
+  function svgElement(name, attributes = {}) {
+    const el = document.createElementNS(SVG_NS, name);
+    for (const [key, value] of Object.entries(attributes)) {
+      el.setAttribute(key, String(value));
+    }
+    return el;
   }
-  
-  function move(direction) {
-    const room = rooms[gameState.currentRoomId];
-    if (!room || !room.exits) {
-      // Command failed - will be handled by LLM
-      return false;
+
+  /**
+   * Draw the rooms visited so far with a line for each connection: dashed
+   * red while locked, dotted towards a place not explored yet (a hollow dot).
+   * The current room is highlighted, and every spot one exit away from it
+   * can be clicked to go there.
+   */
+  function renderMap() {
+    const map = gameState.map;
+    dashboardMapEl.replaceChildren();
+    if (!map || map.rooms.length === 0) {
+      renderDashboardList(dashboardMapEl, [], "");
+      return;
     }
-  
-    if (direction === "inside" || direction === "in") {
-      direction = "inside";
+
+    const spots = [...map.rooms, ...map.exits];
+    const minX = Math.min(...spots.map((spot) => spot.x));
+    const minY = Math.min(...spots.map((spot) => spot.y));
+    const maxX = Math.max(...spots.map((spot) => spot.x));
+    const maxY = Math.max(...spots.map((spot) => spot.y));
+    const pad = MAP_CELL / 2;
+    const at = (spot) => [(spot.x - minX) * MAP_CELL + pad, (spot.y - minY) * MAP_CELL + pad];
+
+    const svg = svgElement("svg", {
+      viewBox: `0 0 ${(maxX - minX) * MAP_CELL + pad * 2 + MAP_LABEL_WIDTH} ${(maxY - minY) * MAP_CELL + pad * 2}`,
+      role: "group",
+      "aria-label": t("mapTitle"),
+    });
+    const rooms = new Map(map.rooms.map((room) => [room.id, room]));
+    const current = map.rooms.find((room) => room.current);
+    const spotKey = (spot) => `${spot.x},${spot.y}`;
+
+    // Where the player can go from here, by grid spot
+    const nextSteps = new Map();
+    for (const exit of map.exits) {
+      if (current && exit.from === current.id) nextSteps.set(spotKey(exit), exit);
     }
-  
-    const nextId = room.exits[direction];
-    if (!nextId) {
-      // Command failed - will be handled by LLM
-      return false;
+
+    // Lines first, so the dots sit on top. A pair of rooms gets one line;
+    // the exit out of the current room decides how it looks.
+    const drawn = new Set();
+    const fromHere = (exit) => Number(Boolean(current) && exit.from === current.id);
+    const exits = [...map.exits].sort((a, b) => fromHere(b) - fromHere(a));
+    for (const exit of exits) {
+      const from = rooms.get(exit.from);
+      const pair = [spotKey(from), spotKey(exit)].sort().join("|");
+      if (drawn.has(pair)) continue;
+      drawn.add(pair);
+
+      const [x1, y1] = at(from);
+      const [x2, y2] = at(exit);
+      const classes = ["map-link", exit.to ? "" : "unexplored", exit.locked ? "locked" : ""];
+      svg.appendChild(svgElement("line", { x1, y1, x2, y2, class: classes.join(" ").trim() }));
     }
-  
-    if (nextId === "lighthouseInterior" && !gameState.flags.lighthouseDoorUnlocked) {
-      // Command failed - will be handled by LLM
-      return false;
+
+    const unexplored = new Set();
+    for (const exit of map.exits) {
+      if (exit.to || unexplored.has(spotKey(exit))) continue;
+      unexplored.add(spotKey(exit));
+      svg.appendChild(createMapSpot(exit, at(exit), { className: "map-room unexplored", title: t("mapUnexplored") }, nextSteps));
+    }
+    for (const room of map.rooms) {
+      const className = room.current ? "map-room current" : "map-room";
+      svg.appendChild(createMapSpot(room, at(room), { className, title: room.name, label: room.name }, nextSteps));
     }
 
-    // Update puzzle progress for reaching top
-    if (nextId === "lighthouseTop") {
-      gameState.puzzleProgress.reachedTop = true;
+    dashboardMapEl.appendChild(svg);
+  }
+
+  /**
+   * One dot of the map, with its name beside it when it has one. A dot one
+   * exit away from the current room becomes a button that walks there.
+   */
+  function createMapSpot(spot, [x, y], { className, title, label }, nextSteps) {
+    const group = svgElement("g");
+    const titleEl = svgElement("title");
+    titleEl.textContent = title;
+    group.appendChild(titleEl);
+    group.appendChild(svgElement("circle", { cx: x, cy: y, r: MAP_ROOM_RADIUS, class: className }));
+    if (label) {
+      const text = svgElement("text", {
+        x: x + MAP_ROOM_RADIUS + 4,
+        y: y + 3,
+        class: spot.current ? "map-label current" : "map-label",
+      });
+      text.textContent = label;
+      group.appendChild(text);
     }
 
-    setLocation(nextId);
-    return true;
+    const exit = !spot.current && nextSteps.get(`${spot.x},${spot.y}`);
+    if (exit) {
+      const action = format(exit.locked ? "mapGoLocked" : "mapGo", { direction: exit.label });
+      titleEl.textContent = `${title} - ${action}`;
+      group.setAttribute("class", "map-target");
+      group.setAttribute("role", "button");
+      group.setAttribute("tabindex", "0");
+      group.setAttribute("aria-label", titleEl.textContent);
+      // The direction's own word, so the log shows it in the player's language
+      const go = () => handleUserInput(exit.label);
+      group.addEventListener("click", go);
+      group.addEventListener("keydown", (e) => {
+        if (e.key === "Enter" || e.key === " ") {
+          e.preventDefault();
+          go();
+        }
+      });
+    }
+    return group;
   }
-  
-  function take(itemWord) {
-    const room = rooms[gameState.currentRoomId];
-    if (!room) return false;
-  
-    const canonicalItem = normalizeItemName(itemWord);
-    if (!canonicalItem) {
-      // Don't show error - LLM will handle this naturally
-      return false;
+
+  function renderState(newState) {
+    if (!newState) return;
+    gameState = { ...gameState, ...newState };
+
+    const room = gameState.room;
+    if (room) {
+      locationNameEl.textContent = room.name;
+      locationMetaEl.textContent = room.short;
     }
-  
-    const idx = (room.items || []).indexOf(canonicalItem);
-    if (idx === -1) {
-      // Don't show error - LLM will handle this naturally
-      return false;
+
+    // Update dashboard instead of logging items/directions
+    updateDashboard();
+    updateHintButton();
+
+    // The leaderboard shows once the game is won (also when resuming one)
+    const won = Boolean(gameState.result && gameState.result.won);
+    if (won && leaderboardPanelEl.hidden) {
+      loadLeaderboard();
     }
-  
-    room.items.splice(idx, 1);
-    gameState.inventory.push(canonicalItem);
+    leaderboardPanelEl.hidden = !won;
 
-    // Update puzzle progress
-    if (canonicalItem === "lantern") {
-      gameState.puzzleProgress.foundLantern = true;
+    // Any ending counts towards the endings found
+    if (gameState.ending) {
+      rememberEnding(gameState.ending.id);
+      if (endingsPanelEl.hidden) {
+        loadEndings();
+      }
     }
-    if (canonicalItem === "smallKey") {
-      gameState.puzzleProgress.foundKey = true;
+    endingsPanelEl.hidden = !gameState.ending;
+  }
+
+  // ---- Session helpers: the server owns the game ----
+
+  /**
+   * Hitting a server limit (too many turns, overlong input, the day's model
+   * budget) returns an error with an in-game `narration`. Returns it, or null
+   * for any other error.
+   */
+  async function readLimitNarration(response) {
+    const data = await response.clone().json().catch(() => ({}));
+    return typeof data.narration === "string" ? data.narration : null;
+  }
+
+  async function startSession(language) {
+    const response = await fetch("/sessions", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ language }),
+    });
+    if (!response.ok) {
+      const err = new Error("Could not start session: " + response.status);
+      err.narration = await readLimitNarration(response);
+      throw err;
     }
+    const data = await response.json();
+    sessionId = data.sessionId;
+    renderState(data.state);
+    autosave();
+  }
 
-    // Update dashboard after taking item
-    updateDashboard();
-    return true;
+  // ---- Saves: server-signed snapshots kept in localStorage ----
+  async function fetchSave() {
+    const response = await fetch(`/sessions/${encodeURIComponent(sessionId)}/save`);
+    if (!response.ok) {
+      throw new Error("Could not save: " + response.status);
+    }
+    const data = await response.json();
+    // The log and room name are ours; the server only checks `game`
+    return {
+      ...data.save,
+      roomName: gameState.room ? gameState.room.name : "",
+      log: logEntries,
+    };
   }
-  
-  function inventory() {
-    // Don't show inventory directly - LLM will handle this naturally in narration
-    // Just return success so LLM knows to describe inventory
-    return true;
+
+  function readStoredSave(key) {
+    try {
+      const raw = localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (err) {
+      console.error("Unreadable save in", key, err);
+      return null;
+    }
   }
-  
-  function examine(itemWord) {
-    const canonicalItem = normalizeItemName(itemWord);
-    if (!canonicalItem) {
-      // Don't show error - LLM will handle this naturally
+
+  function storeSave(key, save) {
+    try {
+      localStorage.setItem(key, JSON.stringify(save));
+      return true;
+    } catch (err) {
+      console.error("Could not store save in", key, err);
       return false;
     }
-  
-    const hasIt = gameState.inventory.includes(canonicalItem);
-    const inRoom = (rooms[gameState.currentRoomId].items || []).includes(canonicalItem);
-  
-    if (!hasIt && !inRoom) {
-      // Don't show error - LLM will handle this naturally
-      return false;
+  }
+
+  async function autosave() {
+    if (!sessionId) return;
+    try {
+      storeSave(AUTOSAVE_KEY, await fetchSave());
+    } catch (err) {
+      console.error("Autosave failed:", err);
     }
-  
-    // Don't show description directly - LLM will handle this naturally in narration
-    // Just return success so LLM knows to describe the item
-    return true;
   }
-  
-  function useItem(itemWord) {
-    const canonicalItem = normalizeItemName(itemWord);
-    if (!canonicalItem) {
-      // Don't show error - LLM will handle this naturally
-      return false;
+
+  /**
+   * Start a server session from a save file and redraw the log it carries.
+   */
+  async function resumeFromSave(file) {
+    const { log, roomName, ...save } = file;
+    const response = await fetch("/sessions/restore", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ save }),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(data.narration || data.error || "Could not restore: " + response.status);
+      // 400 is the server refusing the save itself; anything else may pass on a retry
+      error.saveRejected = response.status === 400;
+      throw error;
     }
-  
-    const hasIt = gameState.inventory.includes(canonicalItem);
-    if (!hasIt) {
-      // Don't show error - LLM will handle this naturally
-      return false;
+
+    sessionId = data.sessionId;
+    gameStarted = true;
+    hideLanguageSelector();
+    await applyLanguage(data.state.language);
+
+    logEl.replaceChildren();
+    logEntries = [];
+    for (const entry of Array.isArray(log) ? log : []) {
+      if (!entry || typeof entry !== "object") continue;
+      const { text, type, ...options } = upgradeLogEntry(entry);
+      appendLog(text, type, options);
     }
-  
-    const roomId = gameState.currentRoomId;
-  
-    if (canonicalItem === "smallKey" && roomId === "lighthouseExterior") {
-      if (gameState.flags.lighthouseDoorUnlocked) {
-        // Already unlocked - LLM will handle this
-        return true;
-      } else {
-        gameState.flags.lighthouseDoorUnlocked = true;
-        gameState.puzzleProgress.unlockedDoor = true;
-        // Success - LLM narration will describe this
-        return true;
+    renderState(data.state);
+    autosave();
+  }
+
+  async function saveToSlot(slot) {
+    try {
+      const save = await fetchSave();
+      if (!storeSave(SAVE_SLOT_KEY_PREFIX + slot, save)) {
+        throw new Error("localStorage is full or unavailable");
       }
+      appendLog(t("saved"), "system");
+    } catch (err) {
+      console.error("Save failed:", err);
+      appendLog(t("saveFailed"), "important");
     }
+    renderSaveSlots();
+  }
 
-    if (canonicalItem === "lantern") {
-      if (roomId === "lighthouseTop") {
-        // Final puzzle: light the beacon
-        if (gameState.puzzleProgress.litBeacon) {
-          // Already lit - LLM will handle this
-          return true;
-        } else if (gameState.flags.lanternLit) {
-          gameState.puzzleProgress.litBeacon = true;
-          // Success - LLM narration will describe this
-          checkGameCompletion();
-          return true;
-        } else {
-          // Lantern not lit - LLM will handle this
-          return false;
-        }
-      } else {
-        if (gameState.flags.lanternLit) {
-          // Already lit - LLM will handle this
-          return true;
-        } else {
-          gameState.flags.lanternLit = true;
-          gameState.puzzleProgress.litLantern = true;
-          // Success - LLM narration will describe this
-          return true;
-        }
-      }
+  async function loadSave(save) {
+    try {
+      await resumeFromSave(save);
+      appendLog(t("loaded"), "system");
+      closeSaveMenu();
+    } catch (err) {
+      console.error("Load failed:", err);
+      appendLog(`${t("loadFailed")} ${err.message}`, "important");
     }
+  }
 
-    // Item used but no specific action - LLM will handle this
-    return true;
+  async function exportSave() {
+    try {
+      const save = await fetchSave();
+      const blob = new Blob([JSON.stringify(save, null, 2)], { type: "application/json" });
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = `tugrul-lighthouse-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (err) {
+      console.error("Export failed:", err);
+      appendLog(t("saveFailed"), "important");
+    }
+  }
+
+  function importSave(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      let save;
+      try {
+        save = JSON.parse(reader.result);
+      } catch (err) {
+        appendLog(`${t("loadFailed")} ${err.message}`, "important");
+        return;
+      }
+      loadSave(save);
+    };
+    reader.readAsText(file);
   }
 
-  function checkGameCompletion() {
-    const progress = gameState.puzzleProgress;
-    const allComplete = 
-      progress.foundLantern &&
-      progress.litLantern &&
-      progress.foundKey &&
-      progress.unlockedDoor &&
-      progress.reachedTop &&
-      progress.litBeacon;
+  function startNewGame() {
+    localStorage.removeItem(AUTOSAVE_KEY);
+    window.location.reload();
+  }
 
-    if (allComplete && !gameState.gameComplete) {
-      // The backend should handle this, but we can also check locally
-      // The password will be revealed by the backend response
+  function renderSaveSlots() {
+    saveSlotsEl.replaceChildren();
+    for (let slot = 1; slot <= SAVE_SLOT_COUNT; slot++) {
+      const save = readStoredSave(SAVE_SLOT_KEY_PREFIX + slot);
+      const row = document.createElement("div");
+      row.className = "save-slot";
+
+      const label = document.createElement("span");
+      label.className = "save-slot-label";
+      label.textContent = save
+        ? `${slot}. ${save.roomName || ""} · ${new Date(save.savedAt).toLocaleString()}`
+        : `${slot}. ${t("emptySlot")}`;
+      row.appendChild(label);
+
+      const saveBtn = document.createElement("button");
+      saveBtn.className = "btn btn-small";
+      saveBtn.textContent = t("saveButton");
+      saveBtn.disabled = !sessionId;
+      saveBtn.addEventListener("click", () => saveToSlot(slot));
+      row.appendChild(saveBtn);
+
+      const loadBtn = document.createElement("button");
+      loadBtn.className = "btn btn-small";
+      loadBtn.textContent = t("loadButton");
+      loadBtn.disabled = !save;
+      loadBtn.addEventListener("click", () => loadSave(save));
+      row.appendChild(loadBtn);
+
+      saveSlotsEl.appendChild(row);
     }
   }
-  
-  function normalizeItemName(word = "") {
-    const w = word.toLowerCase().trim();
-    if (!w) return null;
-    // English
-    if (["key", "smallkey", "small key"].includes(w)) return "smallKey";
-    if (["lantern"].includes(w)) return "lantern";
-    // Turkish
-    if (["anahtar", "küçük anahtar", "küçükanahtar"].includes(w)) return "smallKey";
-    if (["fener", "lamba"].includes(w)) return "lantern";
-    return null;
+
+  function toggleSaveMenu() {
+    if (saveMenuEl.classList.contains("hidden")) {
+      renderSaveSlots();
+      saveMenuEl.classList.remove("hidden");
+    } else {
+      closeSaveMenu();
+    }
   }
-  
-  function readableItemName(id) {
-    const isTurkish = gameState.language === "tr";
-    if (id === "smallKey") return isTurkish ? "küçük anahtar" : "small key";
-    if (id === "lantern") return isTurkish ? "fener" : "lantern";
-    return id;
+
+  function closeSaveMenu() {
+    saveMenuEl.classList.add("hidden");
   }
-  
-  // ---- NEW: helper to serialize game state for backend ----
-  function getSerializableState() {
-    return {
-      currentRoomId: gameState.currentRoomId,
-      inventory: [...gameState.inventory],
-      flags: { ...gameState.flags },
-      puzzleProgress: { ...gameState.puzzleProgress },
-      gameComplete: gameState.gameComplete,
-      language: gameState.language,
-    };
+
+  // ---- NEW: LLM-powered user input handler ----
+  /**
+   * Play a turn over the plain JSON endpoint. Resolves to the turn data, or
+   * null when the server answered with an error.
+   */
+  async function playTurn(input) {
+    const response = await fetch(`/sessions/${encodeURIComponent(sessionId)}/input`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        input,
+      }),
+    });
+
+    if (!response.ok) {
+      const limitNarration = await readLimitNarration(response);
+      if (limitNarration) return { limitNarration };
+      console.error("Backend error", await response.text());
+      return null;
+    }
+    return response.json();
   }
-  
-  // ---- Engine command executor (no logging of raw input here) ----
-  function handleEngineCommand(engineCommand) {
-    const input = engineCommand.trim();
-    if (!input) return true;
-  
-    const lower = input.toLowerCase();
-    const parts = lower.split(/\s+/);
-    const verb = parts[0];
-    const arg = parts.slice(1).join(" ");
-  
-    let commandSucceeded = true;
-    switch (verb) {
-      case "look":
-      case "l":
-        describeCurrentRoom();
-        commandSucceeded = true;
-        break;
-      case "help":
-        // Let LLM handle help requests naturally through conversation
-        // Don't show static help text
-        commandSucceeded = true;
-        break;
-      case "go":
-        if (!arg) {
-          // Don't show error - LLM will handle this naturally
-          return false;
-        } else {
-          return move(arg);
-        }
-      case "north":
-      case "south":
-      case "east":
-      case "west":
-      case "up":
-      case "down":
-      case "inside":
-        return move(verb);
-      case "take":
-      case "get":
-        if (!arg) {
-          commandSucceeded = false;
-        } else {
-          commandSucceeded = take(arg) !== false;
-        }
-        break;
-      case "inventory":
-      case "inv":
-      case "i":
-        inventory();
-        commandSucceeded = true;
-        break;
-      case "examine":
-      case "x":
-        if (!arg) {
-          commandSucceeded = false;
-        } else {
-          commandSucceeded = examine(arg) !== false;
-        }
-        break;
-      case "use":
-        if (!arg) {
-          commandSucceeded = false;
-        } else {
-          commandSucceeded = useItem(arg) !== false;
+
+  /**
+   * Play a turn over the streaming endpoint, typing the narration as it
+   * arrives. Resolves to the turn data (with `streamed: true`), or null when
+   * streaming isn't available so the caller can fall back to playTurn().
+   */
+  async function playStreamingTurn(input) {
+    if (!window.ReadableStream || !window.TextDecoder) return null;
+
+    let response;
+    try {
+      response = await fetch(`/sessions/${encodeURIComponent(sessionId)}/input/stream`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "text/event-stream",
+        },
+        body: JSON.stringify({
+          input,
+        }),
+      });
+    } catch (err) {
+      console.warn("Streaming unavailable:", err);
+      return null;
+    }
+
+    // A limit refusal is the answer for this turn - don't retry it
+    if (!response.ok) {
+      const limitNarration = await readLimitNarration(response);
+      return limitNarration ? { limitNarration } : null;
+    }
+    const contentType = response.headers.get("Content-Type") || "";
+    if (!response.body || !contentType.includes("text/event-stream")) {
+      return null;
+    }
+
+    // From here on the turn is being played - never fall back and replay it
+    let typingLine = null;
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      const events = buffer.split("\n\n");
+      buffer = events.pop();
+      for (const raw of events) {
+        const event = parseServerEvent(raw);
+        if (!event) continue;
+
+        if (event.name === "narration") {
+          typingLine = typingLine || createTypingLine();
+          typingLine.add(event.data.text || "");
+        } else if (event.name === "turn") {
+          if (event.data.narration) {
+            typingLine = typingLine || createTypingLine();
+            typingLine.finish(event.data.narration);
+          }
+          return { ...event.data, streamed: true };
+        } else if (event.name === "error") {
+          if (event.data.narration) return { limitNarration: event.data.narration };
+          throw new Error(event.data.error || "Stream error");
         }
-        break;
-      default:
-        // Unknown command - assume it succeeded (LLM will handle)
-        commandSucceeded = true;
+      }
     }
-    
-    return commandSucceeded;
+
+    throw new Error("Stream ended before the turn finished");
   }
-  
-  // ---- NEW: LLM-powered user input handler ----
-  async function handleUserInput(raw) {
+
+  /**
+   * Parse one Server-Sent Event block into { name, data }.
+   */
+  function parseServerEvent(raw) {
+    let name = "message";
+    const dataLines = [];
+    for (const line of raw.split("\n")) {
+      if (line.startsWith("event:")) {
+        name = line.slice(6).trim();
+      } else if (line.startsWith("data:")) {
+        dataLines.push(line.slice(5).trim());
+      }
+    }
+    if (dataLines.length === 0) return null;
+
+    try {
+      return { name, data: JSON.parse(dataLines.join("\n")) };
+    } catch (err) {
+      console.warn("Unreadable server event:", raw);
+      return null;
+    }
+  }
+
+  // ---- Hints: from the world file, more explicit each time ----
+  let hintTimer = null;
+
+  // The hint button rests while the session's hint cooldown runs
+  function updateHintButton() {
+    clearTimeout(hintTimer);
+    const wait = gameState.hintCooldownSeconds || 0;
+    hintBtn.disabled = Boolean(gameState.gameComplete) || wait > 0;
+    if (wait > 0 && !gameState.gameComplete) {
+      hintTimer = setTimeout(() => {
+        gameState.hintCooldownSeconds = 0;
+        updateHintButton();
+      }, wait * 1000);
+    }
+  }
+
+  async function requestHint() {
+    if (!sessionId) {
+      appendLog(t("connectionLost"), "important");
+      return;
+    }
+
+    hintBtn.disabled = true;
+    try {
+      const response = await fetch(`/sessions/${encodeURIComponent(sessionId)}/hint`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({}),
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (response.status === 429 && data.narration) {
+        appendLog(data.narration, "important");
+        gameState.hintCooldownSeconds = data.retryAfterSeconds || 0;
+      } else if (response.status === 409) {
+        appendLog(t("noHint"), "system");
+      } else if (!response.ok || !data.hint) {
+        appendLog(t("hintFailed"), "important");
+      } else {
+        appendLog(data.hint.text, "hint");
+        renderState(data.state);
+        autosave();
+        return;
+      }
+    } catch (err) {
+      console.error("Error asking for a hint:", err);
+      appendLog(t("connectionLost"), "important");
+    }
+    updateHintButton();
+  }
+
+  /**
+   * Play one turn. `echo` is what the log shows instead of the input, for
+   * turns played from a click (see playItemAction).
+   */
+  async function handleUserInput(raw, { echo } = {}) {
     const trimmed = raw.trim();
     if (!trimmed) return;
   
     // show what the player typed
-    appendLog(`<span class="prompt">$</span> ${trimmed}`, "command");
-  
-    try {
-  const response = await fetch("/interpret", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      input: trimmed,
-      state: getSerializableState(),
-      language: gameState.language, // Send selected language to backend
-    }),
-  });
+    appendLog(echo || trimmed, "command");
   
+    if (!sessionId) {
+      appendLog(
+        t("connectionLost"),
+        "important"
+      );
+      return;
+    }
   
-      if (!response.ok) {
+    try {
+      const data = (await playStreamingTurn(trimmed)) || (await playTurn(trimmed));
+      if (!data) {
         appendLog(
-          "<span class='prompt'>!</span> The wind howls oddly — something went wrong talking to the oracle.",
+          t("turnFailed"),
           "important"
         );
-        console.error("Backend error", await response.text());
         return;
       }
-  
-      const data = await response.json();
-      const engineCommand = (data.command || "").trim();
-      const narration = (data.narration || "").trim();
-
-      // Don't update language - use the selected language consistently
-      // The backend should respect the selected language
-
-      // Update puzzle progress
-      if (data.puzzleProgress) {
-        gameState.puzzleProgress = { ...gameState.puzzleProgress, ...data.puzzleProgress };
+      if (data.limitNarration) {
+        appendLog(data.limitNarration, "important");
+        return;
       }
 
-      // Check for game completion
-      if (data.gameComplete && !gameState.gameComplete) {
-        gameState.gameComplete = true;
-        if (data.password) {
-          gameState.password = data.password;
-          showGameComplete(data.password, data.language || "en");
-        }
-      }
+      const wasComplete = gameState.gameComplete;
 
-      if (narration) {
-        appendLog(`<span class="prompt">&gt;</span> ${narration}`, "response");
+      if (data.narration && !data.streamed) {
+        appendLog(data.narration, "response", { markup: true });
       }
 
-      // Execute engine command and check if it succeeded
-      let commandSucceeded = true;
-      if (engineCommand) {
-        commandSucceeded = handleEngineCommand(engineCommand) !== false;
-      }
+      // The server has already run the engine command - just render the result
+      renderState(data.state);
 
-      // If command failed, ask LLM to explain naturally
-      if (!commandSucceeded && engineCommand) {
-        // Create context-aware failure messages
-        let failedInput = "";
-        if (engineCommand.startsWith("go inside") || engineCommand.includes("inside")) {
-          failedInput = gameState.language === "tr" 
-            ? "Deniz fenerinin içine girmeye çalışıyorum ama kapı kilitli. Nedenini doğal bir şekilde açıkla ve ne yapabileceğimi söyle."
-            : "I'm trying to enter the lighthouse but the door is locked. Explain why naturally and tell me what I can do.";
-        } else if (engineCommand.startsWith("go")) {
-          const direction = engineCommand.split(" ")[1] || "";
-          failedInput = gameState.language === "tr"
-            ? `${direction} yönüne gitmeye çalışıyorum ama gidemiyorum. Nedenini doğal bir şekilde açıkla ve alternatif yönler öner.`
-            : `I'm trying to go ${direction} but I can't. Explain why naturally and suggest alternative directions.`;
-        } else {
-          failedInput = gameState.language === "tr"
-            ? `${engineCommand} yapmaya çalışıyorum ama işe yaramadı. Nedenini doğal bir şekilde açıkla ve ne yapabileceğimi söyle.`
-            : `I'm trying to ${engineCommand} but it didn't work. Explain why naturally and tell me what I can do.`;
-        }
-        
-        const failedResponse = await fetch("/interpret", {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
-            input: failedInput,
-            state: getSerializableState(),
-            language: gameState.language,
-          }),
-        });
-        
-        if (failedResponse.ok) {
-          const failedData = await failedResponse.json();
-          if (failedData.narration) {
-            appendLog(`<span class="prompt">&gt;</span> ${failedData.narration}`, "response");
-          }
-        }
+      if (gameState.gameComplete && !wasComplete) {
+        showEnding();
       }
+
+      autosave();
     } catch (err) {
-      console.error("Error calling /api/interpret:", err);
+      console.error("Error calling /sessions input:", err);
       appendLog(
-        "<span class='prompt'>!</span> The connection to the lighthouse spirits is lost for a moment.",
+        t("connectionLost"),
         "important"
       );
     }
   }
   
-  function showGameComplete(password, language) {
-    const isTurkish = language === "tr";
-    const messages = {
-      en: {
-        title: "🎉 CONGRATULATIONS! 🎉",
-        message: "You have solved all the puzzles and unlocked the secret!",
-        passwordLabel: "The secret password is:",
-      },
-      tr: {
-        title: "🎉 TEBRİKLER! 🎉",
-        message: "Tüm bulmacaları çözdünüz ve sırrı açtınız!",
-        passwordLabel: "Gizli şifre:",
-      },
-    };
-    const msg = messages[language] || messages.en;
-
+  /**
+   * The ending screen: which ending the player reached, and for a win the
+   * completion code and score.
+   */
+  function showEnding() {
+    const ending = gameState.ending;
+    const won = Boolean(ending && ending.win);
     appendLog("", "system");
-    appendLog(`<span class='prompt'>★</span> <strong style="color: #fbbf24; font-size: 16px;">${msg.title}</strong>`, "important");
-    appendLog(`<span class='prompt'>★</span> ${msg.message}`, "important");
-    appendLog(`<span class='prompt'>★</span> ${msg.passwordLabel}`, "important");
-    appendLog(`<span class='prompt'>★</span> <strong style="color: #22c55e; font-size: 18px; letter-spacing: 2px;">${password}</strong>`, "important");
+    appendLog(t(won ? "completeTitle" : "gameOverTitle"), "important", { prompt: "★", highlight: "title" });
+    if (ending) {
+      appendLog(ending.title, "important", { prompt: "★", highlight: "title" });
+      appendLog(ending.description, "important", { prompt: "★" });
+    }
+    if (gameState.completionCode) {
+      appendLog(t("completeCodeLabel"), "important", { prompt: "★" });
+      appendLog(gameState.completionCode, "important", { prompt: "★", highlight: "code" });
+    }
+    const result = gameState.result;
+    if (result && result.won) {
+      appendLog(format("completeScore", { score: result.score }), "important", { prompt: "★", highlight: "title" });
+      appendLog(
+        format("completeStats", {
+          turns: result.turns,
+          failed: result.failedCommands,
+          hints: result.hintsUsed,
+          time: formatDuration(result.durationSeconds),
+        }),
+        "important",
+        { prompt: "★" }
+      );
+    }
+    if (!won) {
+      appendLog(t("newGameHint"), "important", { prompt: "★" });
+    }
     appendLog("", "system");
+    if (won) {
+      leaderboardNameEl.focus();
+    }
   }
 
-  // Make selectLanguage available globally
-  window.selectLanguage = function(lang) {
-    console.log("selectLanguage called with:", lang);
-    gameState.language = lang;
-    
-    // Hide the language selector FIRST - try multiple methods
+  function formatDuration(totalSeconds) {
+    return format("duration", { minutes: Math.floor(totalSeconds / 60), seconds: totalSeconds % 60 });
+  }
+
+  // ---- Endings: which of the world's endings this browser has seen ----
+  function readFoundEndings() {
+    try {
+      const found = JSON.parse(localStorage.getItem(ENDINGS_KEY));
+      return Array.isArray(found) ? found : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  function rememberEnding(id) {
+    const found = readFoundEndings();
+    if (found.includes(id)) return;
+    try {
+      localStorage.setItem(ENDINGS_KEY, JSON.stringify([...found, id]));
+    } catch (err) {
+      console.error("Could not remember ending", id, err);
+    }
+  }
+
+  async function loadEndings() {
+    const params = new URLSearchParams({ language: gameState.language || "en" });
+    try {
+      const response = await fetch(`/endings?${params}`);
+      if (!response.ok) {
+        throw new Error("Could not load the endings: " + response.status);
+      }
+      renderEndings((await response.json()).endings);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  // Endings not found yet stay hidden behind "???"
+  function renderEndings(endings) {
+    const found = readFoundEndings();
+    endingsCountEl.textContent = format("endingsFound", {
+      found: endings.filter((ending) => found.includes(ending.id)).length,
+      total: endings.length,
+    });
+    endingsListEl.replaceChildren();
+    for (const ending of endings) {
+      const item = document.createElement("li");
+      if (found.includes(ending.id)) {
+        item.textContent = ending.win ? `${ending.title} (${t("endingWin")})` : ending.title;
+        item.title = ending.description;
+      } else {
+        item.className = "ending-locked";
+        item.textContent = t("endingLocked");
+      }
+      endingsListEl.appendChild(item);
+    }
+  }
+
+  // ---- Leaderboard: finished games, ranked by the server ----
+  const PERIOD_LABELS = { day: "periodDay", week: "periodWeek", all: "periodAll" };
+
+  function showLeaderboardMessage(text) {
+    leaderboardMessageEl.textContent = text;
+    leaderboardMessageEl.hidden = !text;
+  }
+
+  async function loadLeaderboard() {
+    const params = new URLSearchParams({
+      language: gameState.language || "en",
+      period: leaderboardPeriodEl.value,
+    });
+    try {
+      const response = await fetch(`/leaderboard?${params}`);
+      if (!response.ok) {
+        throw new Error("Could not load the leaderboard: " + response.status);
+      }
+      renderLeaderboard((await response.json()).entries);
+    } catch (err) {
+      console.error(err);
+      showLeaderboardMessage(t("leaderboardFailed"));
+    }
+  }
+
+  function renderLeaderboard(entries) {
+    leaderboardListEl.replaceChildren();
+    if (entries.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "dashboard-empty";
+      empty.textContent = t("leaderboardEmpty");
+      leaderboardListEl.appendChild(empty);
+      return;
+    }
+    for (const entry of entries) {
+      const item = document.createElement("li");
+      const score = document.createElement("span");
+      score.className = "leaderboard-score";
+      score.textContent = entry.score;
+      item.appendChild(score);
+      item.appendChild(document.createTextNode(`${entry.name} · ${formatDuration(entry.durationSeconds)}`));
+      leaderboardListEl.appendChild(item);
+    }
+  }
+
+  async function submitScore(event) {
+    event.preventDefault();
+    const name = leaderboardNameEl.value.trim();
+    if (!name || !sessionId) return;
+
+    try {
+      const response = await fetch("/leaderboard", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ sessionId, name }),
+      });
+      if (response.status === 409) {
+        leaderboardFormEl.hidden = true;
+        showLeaderboardMessage(t("leaderboardAlready"));
+        return;
+      }
+      if (!response.ok) {
+        throw new Error("Could not submit the score: " + response.status);
+      }
+      const { entry } = await response.json();
+      leaderboardFormEl.hidden = true;
+      showLeaderboardMessage(format("leaderboardSubmitted", { rank: entry.rank }));
+      loadLeaderboard();
+    } catch (err) {
+      console.error(err);
+      showLeaderboardMessage(t("leaderboardFailed"));
+    }
+  }
+
+  function hideLanguageSelector() {
     const selector = document.getElementById("language-selector");
-    console.log("Language selector element:", selector);
     if (selector) {
       // Try multiple methods to ensure it's hidden
       selector.style.display = "none";
@@ -629,111 +1181,440 @@ const gameState = {
       selector.style.opacity = "0";
       selector.classList.add("hidden");
       selector.setAttribute("hidden", "true");
-      console.log("Language selector hidden with multiple methods");
     } else {
       console.error("Language selector element not found!");
     }
-    
-    // Update UI based on language
-    const translations = {
-      en: {
-        placeholder: "Type what you want to do...",
-        help: "You can explore, examine objects, move around, and interact with the environment naturally.",
-        itemsTitle: "Items Here",
-        directionsTitle: "Directions",
-        welcome: "A foggy night at Tugrul Bay. The lighthouse has been dark for a long time. Perhaps tonight, someone will light it again...",
-        intro: "You can explore this mysterious place naturally. Move in different directions to discover the bay, examine objects you find, take items that catch your interest, and use them to solve puzzles. Your curiosity will guide you through this adventure.",
-      },
-      tr: {
-        placeholder: "Ne yapmak istediğinizi yazın...",
-        help: "Etrafı keşfedebilir, nesneleri inceleyebilir, hareket edebilir ve çevreyle doğal bir şekilde etkileşime geçebilirsiniz.",
-        itemsTitle: "Buradaki Eşyalar",
-        directionsTitle: "Yönler",
-        welcome: "Tugrul Koyu'nda sisli bir gece. Deniz feneri uzun zamandır karanlık. Belki bu gece, birisi onu tekrar yakacak...",
-        intro: "Bu gizemli yeri doğal bir şekilde keşfedebilirsiniz. Körfezi keşfetmek için farklı yönlere gidebilir, bulduğunuz nesneleri inceleyebilir, ilginizi çeken eşyaları alabilir ve bulmacaları çözmek için kullanabilirsiniz. Merakınız sizi bu macerada yönlendirecek.",
-      },
-    };
-    
-    const t = translations[lang] || translations.en;
-    
-    // Safely update UI elements
-    const inputEl = document.getElementById("cmd-input");
-    const helpHintEl = document.getElementById("help-hint");
+  }
+
+  // Load the selected language's strings and update the UI texts
+  async function applyLanguage(lang) {
+    try {
+      const locale = await loadLocale(lang);
+      uiStrings = locale.ui;
+      commandWords = locale.commands || {};
+    } catch (err) {
+      // Keep the current strings; the game itself still works
+      console.error(err);
+    }
+    gameState.language = lang;
+    document.documentElement.lang = lang;
+
+    document.getElementById("game-title").textContent = t("title");
+    sendBtn.textContent = t("send");
+    hintBtn.textContent = t("hintButton");
+    hintBtn.title = t("hintTitle");
+    saveMenuBtn.textContent = t("savesButton");
+    languageSwitchEl.value = lang;
+    languageSwitchEl.setAttribute("aria-label", t("languageLabel"));
+    languageSwitchEl.hidden = false;
     
     if (inputEl) {
-      inputEl.placeholder = t.placeholder;
+      inputEl.placeholder = t("placeholder");
+      inputEl.title = t("inputKeys");
     }
     if (helpHintEl) {
-      helpHintEl.innerHTML = t.help;
+      helpHintEl.textContent = t("help");
     }
     
     const dashboardItemsTitle = document.querySelector("#dashboard-items")?.previousElementSibling;
     const dashboardDirectionsTitle = document.querySelector("#dashboard-directions")?.previousElementSibling;
     
     if (dashboardItemsTitle) {
-      dashboardItemsTitle.textContent = t.itemsTitle;
+      dashboardItemsTitle.textContent = t("itemsTitle");
     }
     if (dashboardDirectionsTitle) {
-      dashboardDirectionsTitle.textContent = t.directionsTitle;
+      dashboardDirectionsTitle.textContent = t("directionsTitle");
+    }
+    document.getElementById("inventory-title").textContent = t("inventoryTitle");
+    document.getElementById("map-title").textContent = t("mapTitle");
+
+    document.getElementById("save-menu-title").textContent = t("savesTitle");
+    document.getElementById("save-export").textContent = t("exportButton");
+    document.getElementById("save-import").textContent = t("importButton");
+    document.getElementById("save-new-game").textContent = t("newGameButton");
+
+    document.getElementById("leaderboard-title").textContent = t("leaderboardTitle");
+    document.getElementById("endings-title").textContent = t("endingsTitle");
+    if (!endingsPanelEl.hidden) {
+      loadEndings();
+    }
+    document.getElementById("leaderboard-submit").textContent = t("leaderboardSubmit");
+    leaderboardNameEl.placeholder = t("leaderboardName");
+    for (const option of leaderboardPeriodEl.options) {
+      option.textContent = t(PERIOD_LABELS[option.value]);
+    }
+  }
+
+  // ---- Languages: one locale bundle per language on the server ----
+  async function fetchLanguages() {
+    const response = await fetch("/locales");
+    if (!response.ok) {
+      throw new Error("Could not list languages: " + response.status);
+    }
+    return (await response.json()).languages;
+  }
+
+  /**
+   * One start button per language, and the same languages in the header menu.
+   */
+  function renderLanguageChoices(languages) {
+    languageButtonsEl.replaceChildren();
+    languageSwitchEl.replaceChildren();
+    for (const { code, name } of languages) {
+      const button = document.createElement("button");
+      button.className = "lang-btn";
+      button.textContent = name;
+      button.addEventListener("click", (e) => {
+        e.preventDefault();
+        selectLanguage(code);
+      });
+      languageButtonsEl.appendChild(button);
+
+      const option = document.createElement("option");
+      option.value = code;
+      option.textContent = name;
+      languageSwitchEl.appendChild(option);
+    }
+    languageSwitchEl.value = gameState.language;
+  }
+
+  /**
+   * Switch the running game to another language. The server re-localizes the
+   * state; narration follows from the next turn.
+   */
+  async function switchLanguage(lang) {
+    if (!sessionId || lang === gameState.language) return;
+    try {
+      const response = await fetch(`/sessions/${encodeURIComponent(sessionId)}/language`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ language: lang }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || "Could not switch language: " + response.status);
+      }
+
+      await applyLanguage(lang);
+      renderState(data.state);
+      renderSaveSlots();
+      appendLog(t("languageChanged"), "system");
+      autosave();
+    } catch (err) {
+      console.error("Language switch failed:", err);
+      languageSwitchEl.value = gameState.language;
+      appendLog(t("connectionLost"), "important");
     }
+  }
+
+  // Make selectLanguage available globally
+  window.selectLanguage = async function(lang) {
+    console.log("selectLanguage called with:", lang);
+    // Start only once, even if a button is clicked twice
+    if (gameStarted) return;
+    gameStarted = true;
+
+    hideLanguageSelector();
+    await applyLanguage(lang);
     
     // Start the game - show welcome and natural intro
-    appendLog(`<span class='prompt'>•</span> ${t.welcome}`, "system");
-    appendLog(`<span class='prompt'>•</span> ${t.intro}`, "system");
-    setLocation(gameState.currentRoomId);
-    updateDashboard(); // Ensure dashboard is initialized
+    appendLog(t("welcome"), "system");
+    appendLog(t("intro"), "system");
+    startSession(lang).catch((err) => {
+      console.error("Error starting session:", err);
+      appendLog(
+        err.narration || t("connectionLost"),
+        "important"
+      );
+    });
     
     if (inputEl) {
       inputEl.focus();
     }
   }
 
-  function initGame() {
+  async function initGame() {
     console.log("initGame called");
-    // Show language selector
-    const langEnBtn = document.getElementById("lang-en");
-    const langTrBtn = document.getElementById("lang-tr");
-    
-    console.log("Language buttons found:", { langEnBtn, langTrBtn });
-    
-    if (langEnBtn) {
-      langEnBtn.addEventListener("click", (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        console.log("English button clicked");
-        selectLanguage("en");
-      });
+
+    // Language choices come from the server's locale bundles; without them
+    // the built-in English/Türkçe buttons stay
+    try {
+      renderLanguageChoices(await fetchLanguages());
+    } catch (err) {
+      console.error("Could not load languages:", err);
+    }
+
+    await resumeAutosave();
+  }
+
+  /**
+   * Resume the last game automatically if there is one. The autosave is only
+   * thrown away when the server rejects it; after a rate limit, a network
+   * error or a deploy it stays, and the player can try again.
+   */
+  async function resumeAutosave() {
+    const autosaved = readStoredSave(AUTOSAVE_KEY);
+    if (!autosaved) return;
+
+    resumeErrorEl.hidden = true;
+    try {
+      await resumeFromSave(autosaved);
+      appendLog(t("resumed"), "system");
+    } catch (err) {
+      console.error("Could not resume autosave:", err);
+      gameStarted = false;
+      if (err.saveRejected) {
+        localStorage.removeItem(AUTOSAVE_KEY);
+      } else {
+        await showResumeError(autosaved);
+      }
+    }
+  }
+
+  // The message under the language choices, in the saved game's language
+  async function showResumeError(autosaved) {
+    const language = (autosaved.game && autosaved.game.state && autosaved.game.state.language) || "en";
+    resumeErrorEl.hidden = false;
+    try {
+      uiStrings = (await loadLocale(language)).ui;
+      document.getElementById("resume-error-text").textContent = t("resumeFailed");
+      resumeRetryBtn.textContent = t("retryButton");
+    } catch (err) {
+      // The page's English text stays
+      console.error(err);
+    }
+  }
+  
+  // ---- Input box: history, completion and shortcuts ----
+
+  // Commands typed in this browser tab, oldest first
+  const HISTORY_KEY = "tugrul-lighthouse:history";
+  const MAX_HISTORY = 50;
+  let commandHistory = readHistory();
+  // Where ArrowUp/ArrowDown are in commandHistory; its length is the line being typed
+  let historyIndex = commandHistory.length;
+  let historyDraft = "";
+
+  // Alt + key (by physical key, so any keyboard layout works): walk that way or look around
+  const SHORTCUTS = {
+    KeyN: "north",
+    KeyS: "south",
+    KeyE: "east",
+    KeyW: "west",
+    KeyU: "up",
+    KeyD: "down",
+    KeyI: "inside",
+    KeyL: "look",
+  };
+
+  const MAX_SUGGESTIONS = 8;
+
+  // Phones and tablets have no Tab key, so they get suggestions while typing
+  const touchScreen = Boolean(window.matchMedia && window.matchMedia("(pointer: coarse)").matches);
+
+  function readHistory() {
+    try {
+      const history = JSON.parse(sessionStorage.getItem(HISTORY_KEY));
+      return Array.isArray(history) ? history : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  function rememberCommand(command) {
+    if (commandHistory[commandHistory.length - 1] !== command) {
+      commandHistory = [...commandHistory, command].slice(-MAX_HISTORY);
+      try {
+        sessionStorage.setItem(HISTORY_KEY, JSON.stringify(commandHistory));
+      } catch (err) {
+        console.error("Could not keep the command history:", err);
+      }
+    }
+    historyIndex = commandHistory.length;
+    historyDraft = "";
+  }
+
+  /**
+   * Step through the history (-1 older, +1 newer). Past the newest entry is
+   * the line the player was typing before they started browsing.
+   */
+  function browseHistory(step) {
+    const index = Math.min(Math.max(historyIndex + step, 0), commandHistory.length);
+    if (index === historyIndex) return;
+    if (historyIndex === commandHistory.length) {
+      historyDraft = inputEl.value;
+    }
+    historyIndex = index;
+    inputEl.value = index === commandHistory.length ? historyDraft : commandHistory[index];
+    inputEl.setSelectionRange(inputEl.value.length, inputEl.value.length);
+  }
+
+  /**
+   * What can be completed in the current language: verbs, the room's exits
+   * and the names of the items here and in the inventory. One-letter
+   * abbreviations ("n", "x") are left out.
+   */
+  function completionWords() {
+    const room = gameState.room || {};
+    const words = [
+      ...Object.values(commandWords.verbs || {}).flat(),
+      ...Object.values(commandWords.single || {}).flat(),
+      ...(room.exits || []).map((exit) => exit.label),
+      ...(room.items || []).map((item) => item.shortName),
+      ...(gameState.inventory || []).map((item) => item.name),
+    ];
+    const lower = words.filter(Boolean).map((word) => word.toLocaleLowerCase(gameState.language));
+    return [...new Set(lower)].filter((word) => word.length > 1).sort();
+  }
+
+  /**
+   * Completions of the end of `text`. The longest unfinished tail is tried
+   * first, so "take small k" completes "small key" rather than just "k".
+   * Returns { start, matches }, where `start` is where the tail begins.
+   */
+  function findCompletions(text) {
+    const lower = text.toLocaleLowerCase(gameState.language);
+    const words = completionWords();
+    const starts = [...lower.matchAll(/(^|\s)(?=\S)/g)].map((match) => match.index + match[1].length);
+    for (const start of starts) {
+      const tail = lower.slice(start);
+      const matches = words.filter((word) => word.startsWith(tail) && word !== tail);
+      if (matches.length > 0) return { start, matches };
+    }
+    return { start: text.length, matches: [] };
+  }
+
+  function commonPrefix(words) {
+    let prefix = words[0];
+    for (const word of words) {
+      while (!word.startsWith(prefix)) prefix = prefix.slice(0, -1);
+    }
+    return prefix;
+  }
+
+  function applyCompletion(start, word) {
+    inputEl.value = `${inputEl.value.slice(0, start)}${word} `;
+    hideSuggestions();
+  }
+
+  /**
+   * Tab: complete the word if only one fits, else as far as the candidates
+   * agree, and list them.
+   */
+  function completeInput() {
+    const { start, matches } = findCompletions(inputEl.value);
+    if (matches.length === 0) return false;
+    if (matches.length === 1) {
+      applyCompletion(start, matches[0]);
     } else {
-      console.error("English button not found!");
+      inputEl.value = inputEl.value.slice(0, start) + commonPrefix(matches);
+      showSuggestions(start, matches);
     }
-    
-    if (langTrBtn) {
-      langTrBtn.addEventListener("click", (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        console.log("Turkish button clicked");
-        selectLanguage("tr");
+    return true;
+  }
+
+  function showSuggestions(start, matches) {
+    suggestionsEl.replaceChildren();
+    for (const word of matches.slice(0, MAX_SUGGESTIONS)) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "cmd-suggestion";
+      button.textContent = word;
+      // Keep the focus (and the phone keyboard) in the input box
+      button.addEventListener("mousedown", (e) => e.preventDefault());
+      button.addEventListener("click", () => {
+        applyCompletion(start, word);
+        inputEl.focus();
       });
-    } else {
-      console.error("Turkish button not found!");
+      suggestionsEl.appendChild(button);
     }
+    suggestionsEl.hidden = matches.length === 0;
   }
-  
-  // Wire UI
-  sendBtn.addEventListener("click", () => {
+
+  function hideSuggestions() {
+    suggestionsEl.hidden = true;
+    suggestionsEl.replaceChildren();
+  }
+
+  /**
+   * What an Alt shortcut types: the exit's label in the player's language, as
+   * the map does, or the word for looking around. Null when there's no exit
+   * that way.
+   */
+  function shortcutInput(code) {
+    const target = SHORTCUTS[code];
+    if (target === "look") {
+      return (commandWords.single && commandWords.single.look && commandWords.single.look[0]) || "look";
+    }
+    const exit = ((gameState.room && gameState.room.exits) || []).find((candidate) => candidate.direction === target);
+    return exit ? exit.label : null;
+  }
+
+  function submitInput() {
     const value = inputEl.value;
     inputEl.value = "";
+    hideSuggestions();
+    if (value.trim()) {
+      rememberCommand(value.trim());
+    }
     handleUserInput(value);
+  }
+
+  // Wire UI
+  sendBtn.addEventListener("click", () => {
+    submitInput();
     inputEl.focus();
   });
   
   inputEl.addEventListener("keydown", (e) => {
     if (e.key === "Enter") {
       e.preventDefault();
-      const value = inputEl.value;
-      inputEl.value = "";
-      handleUserInput(value);
+      submitInput();
+    } else if (e.key === "ArrowUp" || e.key === "ArrowDown") {
+      e.preventDefault();
+      hideSuggestions();
+      browseHistory(e.key === "ArrowUp" ? -1 : 1);
+    } else if (e.key === "Tab" && !e.shiftKey) {
+      // Without anything to complete, Tab moves on as usual
+      if (completeInput()) {
+        e.preventDefault();
+      }
+    } else if (e.key === "Escape") {
+      hideSuggestions();
+    } else if (e.altKey && !e.ctrlKey && !e.metaKey && SHORTCUTS[e.code]) {
+      e.preventDefault();
+      const input = shortcutInput(e.code);
+      if (input) {
+        handleUserInput(input);
+      }
+    }
+  });
+
+  inputEl.addEventListener("input", () => {
+    if (touchScreen) {
+      const { start, matches } = findCompletions(inputEl.value);
+      showSuggestions(start, matches);
+    } else {
+      hideSuggestions();
+    }
+  });
+  
+  hintBtn.addEventListener("click", requestHint);
+  resumeRetryBtn.addEventListener("click", resumeAutosave);
+  leaderboardFormEl.addEventListener("submit", submitScore);
+  leaderboardPeriodEl.addEventListener("change", loadLeaderboard);
+  saveMenuBtn.addEventListener("click", toggleSaveMenu);
+  languageSwitchEl.addEventListener("change", () => switchLanguage(languageSwitchEl.value));
+  document.getElementById("save-export").addEventListener("click", exportSave);
+  document.getElementById("save-import").addEventListener("click", () => importInputEl.click());
+  document.getElementById("save-new-game").addEventListener("click", startNewGame);
+  importInputEl.addEventListener("change", () => {
+    if (importInputEl.files[0]) {
+      importSave(importInputEl.files[0]);
     }
+    importInputEl.value = "";
   });
   
   window.addEventListener("load", () => {
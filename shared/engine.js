@@ -0,0 +1,939 @@
+/**
+ * Text adventure engine for The Lighthouse at Tugrul Bay
+ * - Shared by the backend (which owns the game state) and any other tooling
+ * - Engine commands: look, go <direction>, take <item>, drop <item>, inventory, examine <item>,
+ *   use/break/open/close/read/push/pull <item>, put <item> in <item>, combine <item> with <item>
+ * - What an item does is declared on the item as rules per verb (see world.js);
+ *   open, close, read, put and take fall back to built-in behaviour for
+ *   items with an "open" state, a text, or room inside.
+ * - Every function works on an explicit `state` object, so each session gets its own game.
+ * - Rooms, items and puzzle rules come from a world file (see world.js).
+ * - Commands return { ok, reason }; a failed command always says why, so the
+ *   narration can describe what actually happened. runCommands() plays the
+ *   several commands of one turn in order and stops at the first failure.
+ * - The client state carries a map of the rooms visited so far, laid out on
+ *   a grid from the world's exits.
+ * - giveHint() reads the world's hints for the next unfinished puzzle step,
+ *   one tier more explicit each time it is asked.
+ * - The game ends with the first of the world's endings whose condition holds
+ *   (state.ending); `gameComplete` means the game is over, whichever ending it was.
+ */
+
+const { loadWorld, localize } = require("./world");
+
+// Why a command failed. World item rules may give their own reason instead.
+const FAILURE_REASONS = {
+  NO_EXIT: "no exit",
+  LOCKED: "locked",
+  NOT_HERE: "not here",
+  NOT_CARRIED: "not carried",
+  ALREADY_CARRIED: "already carried",
+  FIXED: "fixed",
+  CLOSED: "closed",
+  ALREADY_OPEN: "already open",
+  ALREADY_CLOSED: "already closed",
+  NOT_CONTAINER: "not a container",
+  NO_EFFECT: "no effect",
+  MISSING_TARGET: "missing target",
+  UNKNOWN_VERB: "unknown verb",
+};
+
+// What each verb handleEngineCommand understands takes as its argument
+const VERB_ARGUMENTS = {
+  look: "none",
+  l: "none",
+  help: "none",
+  inventory: "none",
+  inv: "none",
+  i: "none",
+  north: "none",
+  south: "none",
+  east: "none",
+  west: "none",
+  up: "none",
+  down: "none",
+  inside: "none",
+  go: "direction",
+  take: "item",
+  get: "item",
+  examine: "item",
+  x: "item",
+  drop: "item",
+  use: "item",
+  break: "item",
+  open: "item",
+  close: "item",
+  read: "item",
+  push: "item",
+  pull: "item",
+  put: "itemPair",
+  combine: "itemPair",
+};
+
+// Words that join the two items of a two-item command ("put page in box")
+const PAIR_WORDS = {
+  put: ["in", "into", "inside"],
+  combine: ["with", "and"],
+};
+
+// Verbs whose item has to be carried; the others work on anything in reach
+const CARRIED_VERBS = ["use", "break"];
+
+// Grid step of each direction on the map. Up, down and inside have no compass
+// point; they read best continuing the line the way the player climbs.
+const MAP_OFFSETS = {
+  north: [0, -1],
+  south: [0, 1],
+  east: [1, 0],
+  west: [-1, 0],
+  up: [0, -1],
+  down: [0, 1],
+  inside: [0, -1],
+};
+
+// Most engine commands one turn may chain ("take lantern and go north, then ...")
+const MAX_COMMANDS_PER_TURN = 5;
+
+// Hint tiers, from the first hint for a step to the last
+const HINT_LEVELS = ["vague", "specific", "explicit"];
+
+const succeeded = () => ({ ok: true });
+const failed = (reason) => ({ ok: false, reason });
+
+/**
+ * Split the argument of a two-item command at its joining word:
+ * "tornPage in stoneBox" -> ["tornPage", "stoneBox"]. Null when either item is missing.
+ */
+function splitItemPair(verb, arg) {
+  const words = arg.split(/\s+/);
+  const at = words.findIndex((word, i) => i > 0 && PAIR_WORDS[verb].includes(word));
+  if (at === -1 || at === words.length - 1) return null;
+  return [words.slice(0, at).join(" "), words.slice(at + 1).join(" ")];
+}
+
+/**
+ * Check a world condition against a game state. Keys in one object must all
+ * hold; `all`, `any` and `not` combine conditions.
+ *
+ *   { "room": "lighthouseTop", "flag": "lanternLit" }
+ *   { "not": { "has": "smallKey" } }
+ *   { "examined": "logbook" }
+ */
+function evaluateCondition(condition, state) {
+  if (!condition) return true;
+  if (Array.isArray(condition)) {
+    return condition.every((c) => evaluateCondition(c, state));
+  }
+
+  return Object.entries(condition).every(([key, value]) => {
+    const values = Array.isArray(value) ? value : [value];
+    switch (key) {
+      case "flag":
+        return values.every((flag) => Boolean(state.flags[flag]));
+      case "room":
+        return values.includes(state.currentRoomId);
+      case "has":
+        return values.every((item) => state.inventory.includes(item));
+      case "visited":
+        return values.every((roomId) => Boolean(state.flags[`visited_${roomId}`]));
+      case "examined":
+        return values.every((itemId) => Boolean(state.flags[`examined_${itemId}`]));
+      case "step":
+        return values.every((stepId) => Boolean(state.puzzleProgress[stepId]));
+      case "all":
+        return value.every((c) => evaluateCondition(c, state));
+      case "any":
+        return value.some((c) => evaluateCondition(c, state));
+      case "not":
+        return !evaluateCondition(value, state);
+      default:
+        // Unknown keys never hold, so a typo can't silently unlock anything
+        return false;
+    }
+  });
+}
+
+/**
+ * Apply a rule's effects: `set` and `clear` flags, `remove` items from
+ * wherever they are, `give` items to the player.
+ */
+function applyEffects(effects, state) {
+  if (!effects) return;
+  for (const flag of effects.set || []) {
+    state.flags[flag] = true;
+  }
+  for (const flag of effects.clear || []) {
+    state.flags[flag] = false;
+  }
+  for (const itemId of [...(effects.remove || []), ...(effects.give || [])]) {
+    const lists = [state.inventory, ...Object.values(state.roomItems), ...Object.values(state.containers || {})];
+    for (const list of lists) {
+      const idx = list.indexOf(itemId);
+      if (idx !== -1) list.splice(idx, 1);
+    }
+  }
+  for (const itemId of effects.give || []) {
+    state.inventory.push(itemId);
+  }
+}
+
+/**
+ * Build an engine bound to one world. The module itself exports an engine
+ * for the default world, so most callers never need this.
+ */
+function createEngine(world) {
+  const rooms = world.rooms;
+  const items = world.items;
+
+  const itemDescriptions = {};
+  for (const [id, item] of Object.entries(items)) {
+    itemDescriptions[id] = localize(item.description);
+  }
+
+  // alias (any language) -> item ids. Items may share an alias ("fener" is
+  // the lantern and the lighthouse); engine commands then mean the first one.
+  const itemAliases = {};
+  for (const [id, item] of Object.entries(items)) {
+    const names = [id, ...Object.values(item.aliases).flat()].map((name) => name.toLowerCase());
+    for (const name of new Set(names)) {
+      itemAliases[name] = [...(itemAliases[name] || []), id];
+    }
+  }
+
+  const mapPositions = layoutRooms();
+
+  /**
+   * Place every room on a grid, once per world: walk the exits from the start
+   * room and step each one by its MAP_OFFSETS. A room whose spot is taken
+   * moves east until one is free, so the map never changes as it is explored.
+   */
+  function layoutRooms() {
+    const positions = {};
+    const taken = new Set();
+    const place = (roomId, [x, y]) => {
+      while (taken.has(`${x},${y}`)) x += 1;
+      positions[roomId] = { x, y };
+      taken.add(`${x},${y}`);
+    };
+
+    place(world.startRoom, [0, 0]);
+    const queue = [world.startRoom];
+    while (queue.length > 0) {
+      const roomId = queue.shift();
+      const { x, y } = positions[roomId];
+      for (const [direction, exit] of Object.entries(rooms[roomId].exits)) {
+        if (positions[exit.to] || !rooms[exit.to]) continue;
+        const [dx, dy] = MAP_OFFSETS[direction] || [1, 0];
+        place(exit.to, [x + dx, y + dy]);
+        queue.push(exit.to);
+      }
+    }
+    // Rooms no exit leads to still get a spot, beside the start
+    for (const roomId of Object.keys(rooms)) {
+      if (!positions[roomId]) place(roomId, [1, 0]);
+    }
+    return positions;
+  }
+
+  /**
+   * Create a fresh game state. Room items live on the state (not on `rooms`),
+   * so taking an item in one game never affects another.
+   */
+  function createGameState(language = "en") {
+    const roomItems = {};
+    for (const [id, room] of Object.entries(rooms)) {
+      roomItems[id] = [...room.items];
+    }
+
+    // What is inside each container item
+    const containers = {};
+    for (const item of Object.values(items)) {
+      if (item.container) containers[item.id] = [...item.contains];
+    }
+
+    const puzzleProgress = {};
+    for (const step of world.puzzle) {
+      puzzleProgress[step.id] = false;
+    }
+
+    return {
+      currentRoomId: world.startRoom,
+      inventory: [],
+      roomItems,
+      containers,
+      flags: {
+        ...world.flags,
+        [`visited_${world.startRoom}`]: true,
+      },
+      puzzleProgress,
+      // Hints given in total, and how many per puzzle step
+      hints: { used: 0, tiers: {} },
+      gameComplete: false,
+      // Id of the ending the game reached, once it is over
+      ending: null,
+      language,
+    };
+  }
+
+  /**
+   * Rebuild a saved state against the current world: rooms, flags and puzzle
+   * steps added since the save get their defaults, unknown ones are dropped.
+   */
+  function restoreGameState(saved) {
+    const fresh = createGameState(saved.language || "en");
+    const known = (list, valid) => (Array.isArray(list) ? list.filter((id) => valid[id]) : []);
+
+    const roomItems = {};
+    for (const id of Object.keys(rooms)) {
+      roomItems[id] = saved.roomItems && saved.roomItems[id]
+        ? known(saved.roomItems[id], items)
+        : fresh.roomItems[id];
+      // Fixed items never move, so they stay where the world puts them
+      for (const itemId of fresh.roomItems[id]) {
+        if (items[itemId].fixed && !roomItems[id].includes(itemId)) roomItems[id].push(itemId);
+      }
+    }
+
+    // Saves from before containers have their contents elsewhere already
+    const placed = new Set([...(saved.inventory || []), ...Object.values(roomItems).flat()]);
+    const containers = {};
+    for (const id of Object.keys(fresh.containers)) {
+      containers[id] = saved.containers && saved.containers[id]
+        ? known(saved.containers[id], items)
+        : fresh.containers[id].filter((itemId) => !placed.has(itemId));
+    }
+
+    const puzzleProgress = {};
+    for (const step of world.puzzle) {
+      puzzleProgress[step.id] = Boolean(saved.puzzleProgress && saved.puzzleProgress[step.id]);
+    }
+
+    const tiers = {};
+    for (const [stepId, given] of Object.entries(saved.hints?.tiers || {})) {
+      if (stepId in puzzleProgress && Number.isInteger(given)) tiers[stepId] = given;
+    }
+
+    const restored = {
+      ...fresh,
+      currentRoomId: rooms[saved.currentRoomId] ? saved.currentRoomId : fresh.currentRoomId,
+      inventory: known(saved.inventory, items),
+      roomItems,
+      containers,
+      flags: { ...fresh.flags, ...saved.flags },
+      puzzleProgress,
+      hints: { used: Number(saved.hints?.used) || 0, tiers },
+      gameComplete: Boolean(saved.gameComplete),
+      ending: world.endings.some((e) => e.id === saved.ending) ? saved.ending : null,
+    };
+
+    // Saves from before endings only know that the game was complete
+    if (restored.gameComplete && !restored.ending) {
+      restored.ending = findReachedEnding(restored)?.id || null;
+    }
+    return restored;
+  }
+
+  function setLocation(state, roomId) {
+    const room = rooms[roomId];
+    if (!room) return;
+
+    state.currentRoomId = roomId;
+
+    const firstTimeHereKey = `visited_${roomId}`;
+    if (!state.flags[firstTimeHereKey]) {
+      state.flags[firstTimeHereKey] = true;
+    }
+  }
+
+  function move(state, direction) {
+    const room = rooms[state.currentRoomId];
+    if (!room) {
+      return failed(FAILURE_REASONS.NO_EXIT);
+    }
+
+    if (direction === "inside" || direction === "in") {
+      direction = "inside";
+    }
+
+    const exit = room.exits[direction];
+    if (!exit) {
+      return failed(FAILURE_REASONS.NO_EXIT);
+    }
+
+    if (!evaluateCondition(exit.if, state)) {
+      return failed(FAILURE_REASONS.LOCKED);
+    }
+
+    setLocation(state, exit.to);
+    return succeeded();
+  }
+
+  // A container without an "open" state is always open (a shelf, a nest...)
+  function isOpen(state, itemId) {
+    const open = items[itemId].states.open;
+    return !open || Boolean(state.flags[open.flag]);
+  }
+
+  /**
+   * Where an item within the player's reach is: "inventory", "room", or the
+   * id of the open container it lies in. Null when it is out of reach.
+   */
+  function findReachable(state, itemId) {
+    if (state.inventory.includes(itemId)) return "inventory";
+    if ((state.roomItems[state.currentRoomId] || []).includes(itemId)) return "room";
+    for (const [containerId, contents] of Object.entries(state.containers)) {
+      if (contents.includes(itemId) && isOpen(state, containerId) && findReachable(state, containerId)) {
+        return containerId;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Items lying in the current room, followed by what is in its open containers.
+   */
+  function itemsInRoom(state) {
+    const here = [...(state.roomItems[state.currentRoomId] || [])];
+    for (const [containerId, contents] of Object.entries(state.containers)) {
+      const where = findReachable(state, containerId);
+      if (where && where !== "inventory" && isOpen(state, containerId)) here.push(...contents);
+    }
+    return here;
+  }
+
+  function take(state, itemWord) {
+    const canonicalItem = normalizeItemName(itemWord);
+    if (!canonicalItem) {
+      // Not an item of this world - so certainly not here
+      return failed(FAILURE_REASONS.NOT_HERE);
+    }
+
+    if (state.inventory.includes(canonicalItem)) {
+      return failed(FAILURE_REASONS.ALREADY_CARRIED);
+    }
+
+    const where = findReachable(state, canonicalItem);
+    if (!where) {
+      return failed(FAILURE_REASONS.NOT_HERE);
+    }
+    if (items[canonicalItem].fixed) {
+      return failed(FAILURE_REASONS.FIXED);
+    }
+
+    const from = where === "room" ? state.roomItems[state.currentRoomId] : state.containers[where];
+    from.splice(from.indexOf(canonicalItem), 1);
+    state.inventory.push(canonicalItem);
+    return succeeded();
+  }
+
+  function drop(state, itemWord) {
+    const canonicalItem = normalizeItemName(itemWord);
+    const idx = canonicalItem ? state.inventory.indexOf(canonicalItem) : -1;
+    if (idx === -1) {
+      return failed(FAILURE_REASONS.NOT_CARRIED);
+    }
+
+    state.inventory.splice(idx, 1);
+    state.roomItems[state.currentRoomId].push(canonicalItem);
+    return succeeded();
+  }
+
+  function inventory() {
+    // Don't describe inventory here - LLM will handle this naturally in narration
+    // Just return success so LLM knows to describe inventory
+    return succeeded();
+  }
+
+  function examine(state, itemWord) {
+    const canonicalItem = normalizeItemName(itemWord);
+    if (!canonicalItem) {
+      return failed(FAILURE_REASONS.NOT_HERE);
+    }
+
+    if (!findReachable(state, canonicalItem)) {
+      return failed(FAILURE_REASONS.NOT_HERE);
+    }
+
+    // Remembered for "examined" conditions (a closer look can change the story)
+    state.flags[`examined_${canonicalItem}`] = true;
+
+    // Don't describe the item here - LLM will handle this naturally in narration
+    // Just return success so LLM knows to describe the item
+    return succeeded();
+  }
+
+  // A rule with `"ok": false` makes the command fail, with the rule's `reason` if it has one
+  function applyRule(rule, state) {
+    if (rule.ok === false) {
+      return failed(rule.reason || FAILURE_REASONS.NO_EFFECT);
+    }
+    applyEffects(rule.effects, state);
+    return succeeded();
+  }
+
+  function setOpen(state, itemId, open) {
+    const openState = items[itemId].states.open;
+    if (!openState) return failed(FAILURE_REASONS.NO_EFFECT);
+    if (Boolean(state.flags[openState.flag]) === open) {
+      return failed(open ? FAILURE_REASONS.ALREADY_OPEN : FAILURE_REASONS.ALREADY_CLOSED);
+    }
+    state.flags[openState.flag] = open;
+    return succeeded();
+  }
+
+  // What a verb does when none of the item's rules apply. Verbs missing here have no effect.
+  const DEFAULT_ACTIONS = {
+    open: (state, itemId) => setOpen(state, itemId, true),
+    close: (state, itemId) => setOpen(state, itemId, false),
+    read: (state, itemId) => {
+      if (!items[itemId].text) return failed(FAILURE_REASONS.NO_EFFECT);
+      // Reading counts as a close look for "examined" conditions
+      state.flags[`examined_${itemId}`] = true;
+      return succeeded();
+    },
+  };
+
+  /**
+   * Run the first of an item's `verb` rules whose condition holds, or the
+   * verb's default action. `use` and `break` need the item carried, the other
+   * verbs only within reach.
+   */
+  function applyItemRules(state, itemWord, verb) {
+    const canonicalItem = normalizeItemName(itemWord);
+    if (CARRIED_VERBS.includes(verb)) {
+      if (!canonicalItem || !state.inventory.includes(canonicalItem)) {
+        return failed(FAILURE_REASONS.NOT_CARRIED);
+      }
+    } else if (!canonicalItem || !findReachable(state, canonicalItem)) {
+      return failed(FAILURE_REASONS.NOT_HERE);
+    }
+
+    const rule = items[canonicalItem][verb].find((r) => evaluateCondition(r.if, state));
+    if (rule) return applyRule(rule, state);
+
+    const fallback = DEFAULT_ACTIONS[verb];
+    return fallback ? fallback(state, canonicalItem) : failed(FAILURE_REASONS.NO_EFFECT);
+  }
+
+  function useItem(state, itemWord) {
+    return applyItemRules(state, itemWord, "use");
+  }
+
+  function breakItem(state, itemWord) {
+    return applyItemRules(state, itemWord, "break");
+  }
+
+  /**
+   * "put" and "combine": a carried item with another within reach. The rules
+   * of either item whose `with` names the other (or that have no `with`)
+   * decide; without one, "put" places the item in an open container and
+   * "combine" has no effect.
+   */
+  function applyPairRules(state, verb, itemWord, targetWord) {
+    const item = normalizeItemName(itemWord);
+    if (!item || !state.inventory.includes(item)) {
+      return failed(FAILURE_REASONS.NOT_CARRIED);
+    }
+    const target = normalizeItemName(targetWord);
+    if (!target || !findReachable(state, target)) {
+      return failed(FAILURE_REASONS.NOT_HERE);
+    }
+    if (item === target) {
+      return failed(FAILURE_REASONS.NO_EFFECT);
+    }
+
+    const matches = (other) => (r) => (!r.with || r.with === other) && evaluateCondition(r.if, state);
+    const rule = items[item][verb].find(matches(target)) || items[target][verb].find(matches(item));
+    if (rule) return applyRule(rule, state);
+
+    if (verb !== "put") return failed(FAILURE_REASONS.NO_EFFECT);
+    if (!items[target].container) return failed(FAILURE_REASONS.NOT_CONTAINER);
+    if (!isOpen(state, target)) return failed(FAILURE_REASONS.CLOSED);
+
+    state.inventory.splice(state.inventory.indexOf(item), 1);
+    state.containers[target].push(item);
+    return succeeded();
+  }
+
+  /**
+   * Mark every puzzle step whose condition now holds. Steps never un-complete.
+   */
+  function updatePuzzleProgress(state) {
+    for (const step of world.puzzle) {
+      if (!state.puzzleProgress[step.id] && evaluateCondition(step.when, state)) {
+        state.puzzleProgress[step.id] = true;
+      }
+    }
+  }
+
+  function findReachedEnding(state) {
+    return world.endings.find((ending) => evaluateCondition(ending.when, state)) || null;
+  }
+
+  /**
+   * The world's ending the game reached, or null while it is being played.
+   */
+  function getEnding(state) {
+    return world.endings.find((ending) => ending.id === state.ending) || null;
+  }
+
+  function checkGameCompletion(state) {
+    // The end is decided here and nowhere else - the backend issues a
+    // completion code only for an ending the player wins. The first ending
+    // reached stays, whatever the player does afterwards.
+    if (!state.gameComplete) {
+      const ending = findReachedEnding(state);
+      if (ending) {
+        state.gameComplete = true;
+        state.ending = ending.id;
+      }
+    }
+
+    return state.gameComplete;
+  }
+
+  /**
+   * Give the next hint for the first unfinished puzzle step that has hints.
+   * Each call for the same step moves one tier closer to the answer, staying
+   * on the last tier. Returns { step, tier, level, text }, or null when there
+   * is nothing left to hint at.
+   */
+  function giveHint(state) {
+    const step = world.puzzle.find((s) => !state.puzzleProgress[s.id] && s.hints.length > 0);
+    if (!step) return null;
+
+    const given = state.hints.tiers[step.id] || 0;
+    const tier = Math.min(given, step.hints.length - 1);
+    const rule = step.hints[tier].find((r) => evaluateCondition(r.if, state));
+    if (!rule) return null;
+
+    state.hints.tiers[step.id] = given + 1;
+    state.hints.used += 1;
+    return {
+      step: step.id,
+      tier: tier + 1,
+      level: HINT_LEVELS[Math.min(tier, HINT_LEVELS.length - 1)],
+      text: localize(rule.text, state.language),
+    };
+  }
+
+  function normalizeItemName(word = "") {
+    return findItemIds(word)[0] || null;
+  }
+
+  /**
+   * Every item the word can name - more than one for a shared alias.
+   */
+  function findItemIds(word = "") {
+    const w = word.toLowerCase().trim();
+    if (!w || !Object.hasOwn(itemAliases, w)) return [];
+    return itemAliases[w];
+  }
+
+  function readableItemName(id, language = "en") {
+    return items[id] ? localize(items[id].name, language) : id;
+  }
+
+  /**
+   * Localized labels of an item's current states, e.g. ["unlit"].
+   */
+  function itemStateLabels(state, id, language = "en") {
+    return Object.values(items[id]?.states || {}).map((itemState) =>
+      localize(state.flags[itemState.flag] ? itemState.on : itemState.off, language)
+    );
+  }
+
+  // ---- Engine command executor ----
+
+  /**
+   * Run one engine command. Returns { command, ok, reason } - `reason` is set
+   * only when the command failed (see FAILURE_REASONS).
+   */
+  function handleEngineCommand(state, engineCommand) {
+    const input = engineCommand.trim();
+    if (!input) return { command: input, ...succeeded() };
+
+    const lower = input.toLowerCase();
+    const parts = lower.split(/\s+/);
+    const verb = parts[0];
+    const arg = parts.slice(1).join(" ");
+
+    let result;
+    switch (verb) {
+      case "look":
+      case "l":
+        result = succeeded();
+        break;
+      case "help":
+        // Let LLM handle help requests naturally through conversation
+        result = succeeded();
+        break;
+      case "go":
+        result = arg ? move(state, arg) : failed(FAILURE_REASONS.MISSING_TARGET);
+        break;
+      case "north":
+      case "south":
+      case "east":
+      case "west":
+      case "up":
+      case "down":
+      case "inside":
+        result = move(state, verb);
+        break;
+      case "take":
+      case "get":
+        result = arg ? take(state, arg) : failed(FAILURE_REASONS.MISSING_TARGET);
+        break;
+      case "drop":
+        result = arg ? drop(state, arg) : failed(FAILURE_REASONS.MISSING_TARGET);
+        break;
+      case "inventory":
+      case "inv":
+      case "i":
+        result = inventory(state);
+        break;
+      case "examine":
+      case "x":
+        result = arg ? examine(state, arg) : failed(FAILURE_REASONS.MISSING_TARGET);
+        break;
+      case "use":
+        result = arg ? useItem(state, arg) : failed(FAILURE_REASONS.MISSING_TARGET);
+        break;
+      case "break":
+        result = arg ? breakItem(state, arg) : failed(FAILURE_REASONS.MISSING_TARGET);
+        break;
+      case "open":
+      case "close":
+      case "read":
+      case "push":
+      case "pull":
+        result = arg ? applyItemRules(state, arg, verb) : failed(FAILURE_REASONS.MISSING_TARGET);
+        break;
+      case "put":
+      case "combine": {
+        const pair = splitItemPair(verb, arg);
+        result = pair ? applyPairRules(state, verb, ...pair) : failed(FAILURE_REASONS.MISSING_TARGET);
+        break;
+      }
+      default:
+        result = failed(FAILURE_REASONS.UNKNOWN_VERB);
+    }
+
+    updatePuzzleProgress(state);
+    checkGameCompletion(state);
+    return { command: input, ...result };
+  }
+
+  /**
+   * Run the commands of one turn in order. Stops after the first failure, since
+   * the rest were meant for a situation that didn't come about, and when the
+   * game reaches an ending. Returns { outcomes, skipped }: the results of the
+   * commands that ran and the commands that never did.
+   */
+  function runCommands(state, commands) {
+    const wasComplete = state.gameComplete;
+    const outcomes = [];
+    for (const command of commands) {
+      const outcome = handleEngineCommand(state, command);
+      outcomes.push(outcome);
+      if (!outcome.ok || (!wasComplete && state.gameComplete)) break;
+    }
+    return { outcomes, skipped: commands.slice(outcomes.length) };
+  }
+
+  /**
+   * Check that a command only uses verbs, directions and items this world
+   * knows. Returns an error message, or null when the command is well-formed
+   * (whether it will succeed is up to handleEngineCommand).
+   */
+  function validateCommand(engineCommand) {
+    if (typeof engineCommand !== "string" || !engineCommand.trim()) {
+      return "the command is empty";
+    }
+
+    const parts = engineCommand.trim().toLowerCase().split(/\s+/);
+    const verb = parts[0];
+    const arg = parts.slice(1).join(" ");
+
+    switch (VERB_ARGUMENTS[verb]) {
+      case "none":
+        return null;
+      case "direction":
+        if (!arg) return `"${verb}" needs a direction`;
+        if (arg !== "in" && !world.directions[arg]) {
+          return `unknown direction "${arg}" (known: ${Object.keys(world.directions).join(", ")})`;
+        }
+        return null;
+      case "item":
+        if (!arg) return `"${verb}" needs an item`;
+        if (!normalizeItemName(arg)) {
+          return `unknown item "${arg}" (known: ${Object.keys(items).join(", ")})`;
+        }
+        return null;
+      case "itemPair": {
+        const pair = splitItemPair(verb, arg);
+        if (!pair) return `"${verb}" needs two items, as in "${verb} <item> ${PAIR_WORDS[verb][0]} <item>"`;
+        const unknown = pair.find((word) => !normalizeItemName(word));
+        if (unknown) {
+          return `unknown item "${unknown}" (known: ${Object.keys(items).join(", ")})`;
+        }
+        return null;
+      }
+      default:
+        return `unknown verb "${verb}" (known: ${Object.keys(VERB_ARGUMENTS).join(", ")})`;
+    }
+  }
+
+  /**
+   * Compact text summary of the state, embedded in the LLM prompt.
+   */
+  function summarizeState(state) {
+    const inventoryList = state.inventory.join(", ");
+    const itemStates = Object.keys(items)
+      .filter((id) => Object.keys(items[id].states).length > 0)
+      .map((id) => `${id}: ${itemStateLabels(state, id).join(", ")}`);
+    const containers = Object.entries(state.containers).map(
+      ([id, contents]) => `${id} (${isOpen(state, id) ? "open" : "closed"}): ${contents.join(", ") || "empty"}`
+    );
+    return `
+currentRoomId: ${state.currentRoomId}
+inventory: ${inventoryList || "empty"}
+itemStates: ${itemStates.join("; ") || "none"}
+containers: ${containers.join("; ") || "none"}
+flags: ${JSON.stringify(state.flags)}
+puzzleProgress: ${JSON.stringify(state.puzzleProgress)}
+gameComplete: ${state.gameComplete}
+ending: ${state.ending || "none"}
+`.trim();
+  }
+
+  /**
+   * Everything the browser needs to render the game - and nothing it could
+   * use to change it. Names are already localized.
+   */
+  function getClientState(state) {
+    const language = state.language;
+    const room = rooms[state.currentRoomId];
+    return {
+      currentRoomId: state.currentRoomId,
+      room: {
+        id: room.id,
+        name: localize(room.name, language),
+        short: localize(room.short, language),
+        exits: Object.keys(room.exits).map((direction) => ({
+          direction,
+          label: localize(world.directions[direction], language) || direction,
+        })),
+        items: itemsInRoom(state).map((id) => ({
+          id,
+          name: localize(items[id]?.indefinite, language) || readableItemName(id, language),
+          // The bare name, for completing what the player types
+          shortName: readableItemName(id, language),
+          fixed: Boolean(items[id]?.fixed),
+        })),
+      },
+      // What the player carries, with what the inventory panel shows of it
+      inventory: state.inventory.map((id) => ({
+        id,
+        name: readableItemName(id, language),
+        states: itemStateLabels(state, id, language),
+        description: localize(items[id]?.description, language) || "",
+      })),
+      puzzleProgress: { ...state.puzzleProgress },
+      hintsUsed: state.hints.used,
+      gameComplete: state.gameComplete,
+      ending: describeEnding(getEnding(state), language),
+      map: describeMap(state, language),
+      language,
+    };
+  }
+
+  /**
+   * The map as far as the player has explored it: the visited rooms, and
+   * every exit out of them with the grid spot it leads to. An exit into a
+   * room not visited yet keeps that room's name to itself (`to` is null);
+   * `locked` marks an exit whose condition doesn't hold right now.
+   */
+  function describeMap(state, language) {
+    const visited = Object.keys(rooms).filter(
+      (roomId) => state.flags[`visited_${roomId}`] || roomId === state.currentRoomId
+    );
+    return {
+      rooms: visited.map((roomId) => ({
+        id: roomId,
+        name: localize(rooms[roomId].name, language),
+        ...mapPositions[roomId],
+        current: roomId === state.currentRoomId,
+      })),
+      exits: visited.flatMap((roomId) =>
+        Object.entries(rooms[roomId].exits).map(([direction, exit]) => ({
+          from: roomId,
+          direction,
+          label: localize(world.directions[direction], language) || direction,
+          to: visited.includes(exit.to) ? exit.to : null,
+          ...mapPositions[exit.to],
+          locked: !evaluateCondition(exit.if, state),
+        }))
+      ),
+    };
+  }
+
+  function describeEnding(ending, language) {
+    if (!ending) return null;
+    return {
+      id: ending.id,
+      kind: ending.kind,
+      win: ending.win,
+      title: localize(ending.title, language) || ending.id,
+      description: localize(ending.description, language),
+    };
+  }
+
+  /**
+   * Every ending of the world, localized, for the list of endings found.
+   */
+  function listEndings(language = "en") {
+    return world.endings.map((ending) => describeEnding(ending, language));
+  }
+
+  return {
+    world,
+    rooms,
+    itemDescriptions,
+    createGameState,
+    restoreGameState,
+    move,
+    take,
+    drop,
+    inventory,
+    examine,
+    useItem,
+    breakItem,
+    findReachable,
+    updatePuzzleProgress,
+    checkGameCompletion,
+    getEnding,
+    listEndings,
+    giveHint,
+    normalizeItemName,
+    findItemIds,
+    readableItemName,
+    itemStateLabels,
+    handleEngineCommand,
+    runCommands,
+    validateCommand,
+    summarizeState,
+    getClientState,
+  };
+}
+
+module.exports = {
+  ...createEngine(loadWorld()),
+  createEngine,
+  FAILURE_REASONS,
+  PAIR_WORDS,
+  MAX_COMMANDS_PER_TURN,
+  HINT_LEVELS,
+  evaluateCondition,
+  applyEffects,
+};
@@ -0,0 +1,131 @@
+/**
+ * Locale bundles
+ *
+ * Every language the game speaks is one file in locales/ (e.g. locales/de.json)
+ * holding its UI strings, the command words the parser accepts, how prompts
+ * name the language, and the in-game messages the server sends. English
+ * (en.json) is the reference: any key a bundle lacks falls back to English,
+ * and findMissingKeys() lists those keys so they can be translated.
+ *
+ * World text (room and item names, item aliases, direction labels) is
+ * localized in the world file itself; see world.js.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const LOCALES_DIR = path.join(__dirname, "locales");
+const DEFAULT_LANGUAGE = "en";
+
+// Maps whose keys are words of the language itself rather than translated
+// keys; a locale only "misses" them when it has none at all
+const FREE_FORM_KEYS = new Set(["commands.directions"]);
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * `bundle` with every key it lacks filled in from `fallback`.
+ */
+function withFallback(bundle, fallback) {
+  const merged = { ...fallback };
+  for (const [key, value] of Object.entries(bundle)) {
+    merged[key] = isPlainObject(value) && isPlainObject(fallback[key]) ? withFallback(value, fallback[key]) : value;
+  }
+  return merged;
+}
+
+/**
+ * Dotted paths of every leaf value in an object ("ui.placeholder", ...).
+ */
+function flattenKeys(value, prefix = "") {
+  if (!isPlainObject(value) || FREE_FORM_KEYS.has(prefix)) return [prefix];
+  return Object.entries(value).flatMap(([key, child]) => flattenKeys(child, prefix ? `${prefix}.${key}` : key));
+}
+
+function readBundles(dir) {
+  const bundles = {};
+  for (const file of fs.readdirSync(dir).sort()) {
+    if (!file.endsWith(".json")) continue;
+    const code = path.basename(file, ".json");
+    try {
+      bundles[code] = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    } catch (err) {
+      throw new Error(`Locale file ${file} is not valid JSON: ${err.message}`);
+    }
+  }
+  if (!bundles[DEFAULT_LANGUAGE]) {
+    throw new Error(`${dir} has no ${DEFAULT_LANGUAGE}.json reference locale`);
+  }
+  return bundles;
+}
+
+function createLocales(dir = LOCALES_DIR) {
+  const raw = readBundles(dir);
+  const reference = raw[DEFAULT_LANGUAGE];
+
+  const bundles = {};
+  for (const [code, bundle] of Object.entries(raw)) {
+    bundles[code] = withFallback(bundle, reference);
+  }
+
+  function isSupportedLanguage(code) {
+    return typeof code === "string" && Object.prototype.hasOwnProperty.call(bundles, code);
+  }
+
+  /**
+   * A supported language code, or the default for anything else.
+   */
+  function resolveLanguage(code) {
+    return isSupportedLanguage(code) ? code : DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Full bundle for a language (English where it is untranslated).
+   */
+  function getLocale(code) {
+    return bundles[resolveLanguage(code)];
+  }
+
+  /**
+   * Languages for a menu: [{ code, name }], English first.
+   */
+  function listLanguages() {
+    return Object.keys(bundles)
+      .sort((a, b) => (a === DEFAULT_LANGUAGE ? -1 : b === DEFAULT_LANGUAGE ? 1 : a.localeCompare(b)))
+      .map((code) => ({ code, name: bundles[code].name }));
+  }
+
+  /**
+   * A message from the bundle by dotted key, e.g. translate("tr", "messages.rateLimited").
+   */
+  function translate(code, key) {
+    return key.split(".").reduce((value, part) => (value == null ? value : value[part]), getLocale(code));
+  }
+
+  /**
+   * Keys English has and this locale doesn't (so they show in English).
+   */
+  function findMissingKeys(code) {
+    const present = new Set(flattenKeys(raw[code] || {}));
+    return flattenKeys(reference).filter((key) => !present.has(key));
+  }
+
+  return {
+    languages: Object.keys(bundles),
+    isSupportedLanguage,
+    resolveLanguage,
+    getLocale,
+    listLanguages,
+    translate,
+    findMissingKeys,
+  };
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LOCALES_DIR,
+  ...createLocales(),
+  createLocales,
+};
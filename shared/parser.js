@@ -0,0 +1,326 @@
+/**
+ * Deterministic command parser
+ *
+ * Resolves plain commands like "look", "i", "go north", "take the key",
+ * "put the page in the box", "kuzeye git" or "feneri al" to an engine command
+ * without asking the LLM, and chains of them like "take the lantern and go
+ * north, then examine it".
+ * Anything it is not sure about returns null and goes to the model instead.
+ * A name several items share ("fener") is not guessed: parseInput() reports
+ * the candidates so the player can be asked.
+ * The command words come from the locale bundles, item and direction names
+ * from the world.
+ */
+
+const engine = require("./engine");
+const locales = require("./locales");
+
+// Parser words that aren't tied to one language
+const BUILTIN_SINGLE_COMMANDS = {
+  // "I" lower-cased with Turkish rules
+  ı: "inventory",
+};
+
+// Stands in for the item in commands that wait for the player to pick one
+const ITEM_SLOT = "{item}";
+
+// Verbs that need the item in hand, so a fixed item is never the one meant
+const PORTABLE_VERBS = ["take", "drop", "use", "break", "put"];
+
+/**
+ * Command words from every locale bundle (see locales/*.json), so a player can
+ * type commands in any language the game knows. Returns
+ * { verbPhrases: { verb: [phrase] }, pairWords: { verb: Set }, singleCommands, directionWords,
+ * fillerWords, sequenceWords, pronouns }.
+ */
+function collectCommandWords(bundles) {
+  const verbPhrases = {};
+  const pairWords = {};
+  const singleCommands = { ...BUILTIN_SINGLE_COMMANDS };
+  const directionWords = {};
+  const fillerWords = new Set();
+  const sequenceWords = new Set();
+  const pronouns = new Set();
+
+  for (const { commands } of bundles) {
+    for (const [verb, phrases] of Object.entries(commands.verbs || {})) {
+      verbPhrases[verb] = [...new Set([...(verbPhrases[verb] || []), ...phrases])];
+    }
+    for (const [verb, words] of Object.entries(commands.pairWords || {})) {
+      pairWords[verb] = new Set([...(pairWords[verb] || []), ...words]);
+    }
+    for (const [command, phrases] of Object.entries(commands.single || {})) {
+      for (const phrase of phrases) singleCommands[phrase] = command;
+    }
+    Object.assign(directionWords, commands.directions || {});
+    for (const word of commands.fillerWords || []) fillerWords.add(word);
+    for (const word of commands.sequenceWords || []) sequenceWords.add(word);
+    for (const word of commands.pronouns || []) pronouns.add(word);
+  }
+
+  return { verbPhrases, pairWords, singleCommands, directionWords, fillerWords, sequenceWords, pronouns };
+}
+
+function createParser({ world, findItemIds, bundles = locales.languages.map(locales.getLocale) }) {
+  const commandWords = collectCommandWords(bundles);
+  const directionWords = { ...commandWords.directionWords };
+  for (const [direction, labels] of Object.entries(world.directions)) {
+    directionWords[direction] = direction;
+    for (const label of Object.values(labels)) {
+      directionWords[label.toLocaleLowerCase("tr")] = direction;
+    }
+  }
+
+  // Longest phrases first, so "look at" wins over "look"
+  const verbPhrases = Object.entries(commandWords.verbPhrases)
+    .flatMap(([verb, phrases]) => phrases.map((phrase) => ({ verb, phrase })))
+    .sort((a, b) => b.phrase.length - a.phrase.length);
+
+  // Where one command of a chain ends: punctuation or a word like "then",
+  // longest first so "and then" is one break rather than two
+  const sequenceWords = [...commandWords.sequenceWords]
+    .sort((a, b) => b.length - a.length)
+    .map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  const sequencePattern = new RegExp(
+    sequenceWords.length > 0 ? `[,;.]|\\s(?:${sequenceWords.join("|")})\\s` : "[,;.]"
+  );
+
+  /**
+   * The input lower-cased the Turkish way ("KUZEYE" -> "kuzeye"), then the
+   * plain way when that differs: Turkish rules turn the English capital "I"
+   * into "ı", so "Inventory" only reads as "inventory" the plain way.
+   */
+  function lowerCaseReadings(input) {
+    return [...new Set([input.toLocaleLowerCase("tr"), input.toLowerCase()])];
+  }
+
+  // Expects lower-case text (see lowerCaseReadings)
+  function normalizeInput(input) {
+    return input
+      .replace(/[.,!?;:"']/g, " ")
+      .split(/\s+/)
+      .filter((word) => word && !commandWords.fillerWords.has(word))
+      .join(" ");
+  }
+
+  /**
+   * Try the word as-is, then without Turkish case endings
+   * ("kuzeye" -> "kuzey", "anahtarı" -> "anahtar", "lambayı" -> "lamba",
+   * "kutunun" -> "kutu").
+   */
+  function withoutSuffixes(word) {
+    return [word, word.slice(0, -1), word.slice(0, -2), word.slice(0, -3)].filter(Boolean);
+  }
+
+  function resolveDirection(text) {
+    if (text.includes(" ")) return null;
+    for (const candidate of withoutSuffixes(text)) {
+      if (directionWords[candidate]) return directionWords[candidate];
+    }
+    return null;
+  }
+
+  /**
+   * Every item the words may name: an exact name first, else the same with
+   * the case ending taken off the last word.
+   */
+  function resolveItemIds(text) {
+    const exact = findItemIds(text);
+    if (exact.length > 0) return exact;
+
+    const words = text.split(" ");
+    const last = words.pop();
+    for (const candidate of withoutSuffixes(last)) {
+      const ids = findItemIds([...words, candidate].join(" "));
+      if (ids.length > 0) return ids;
+    }
+    return [];
+  }
+
+  /**
+   * The item the words mean to the verb: { id }, or { options } when more
+   * than one item fits. A pronoun ("it", "onu") is the item of the previous
+   * command in the chain. Returns null when nothing fits.
+   */
+  function resolveItem(verb, text, previous) {
+    if (commandWords.pronouns.has(text)) return previous || null;
+
+    let ids = resolveItemIds(text);
+    if (ids.length > 1 && PORTABLE_VERBS.includes(verb)) {
+      const portable = ids.filter((id) => !world.items[id].fixed);
+      if (portable.length > 0) ids = portable;
+    }
+    if (ids.length === 0) return null;
+    return ids.length === 1 ? { id: ids[0] } : { options: ids };
+  }
+
+  /**
+   * Engine command for a verb and its resolved items. An item that is still
+   * in question takes the ITEM_SLOT; two of them is one question too many.
+   */
+  function buildCommand(command, ...items) {
+    const open = items.filter((item) => item.options);
+    if (open.length > 1) return null;
+    const words = items.map((item) => item.id || ITEM_SLOT);
+    return {
+      command: command(...words),
+      options: open.length > 0 ? open[0].options : null,
+      // What "it" means in the next command: the last item named here
+      item: items[items.length - 1],
+    };
+  }
+
+  /**
+   * The two items of "page in box" / "sayfayı kutunun içine" / "sayfayı
+   * deftere": split at a joining word of the verb, or else at the one place
+   * where both halves name an item.
+   */
+  function resolvePair(verb, rest, previous) {
+    const words = rest.split(" ");
+    const joiners = commandWords.pairWords[verb] || new Set();
+    const splits = [];
+    for (let i = 1; i < words.length; i++) {
+      if (joiners.has(words[i]) && i < words.length - 1) {
+        splits.push([words.slice(0, i), words.slice(i + 1)]);
+      } else if (joiners.has(words[words.length - 1]) && i < words.length - 1) {
+        // Turkish puts the joining word last: "sayfayı kutunun içine"
+        splits.push([words.slice(0, i), words.slice(i, -1)]);
+      }
+    }
+    if (splits.length === 0) {
+      for (let i = 1; i < words.length; i++) splits.push([words.slice(0, i), words.slice(i)]);
+    }
+
+    for (const [first, second] of splits) {
+      const item = resolveItem(verb, first.join(" "), previous);
+      const target = resolveItem(null, second.join(" "), previous);
+      const parsed =
+        item && target && buildCommand((a, b) => `${verb} ${a} ${engine.PAIR_WORDS[verb][0]} ${b}`, item, target);
+      if (parsed) return parsed;
+    }
+    return null;
+  }
+
+  function resolve(verb, rest, previous) {
+    if (!rest) return null;
+    if (engine.PAIR_WORDS[verb]) return resolvePair(verb, rest, previous);
+    if (verb === "go") {
+      const direction = resolveDirection(rest);
+      return direction ? { command: `go ${direction}`, options: null } : null;
+    }
+    const item = resolveItem(verb, rest, previous);
+    return item ? buildCommand((a) => `${verb} ${a}`, item) : null;
+  }
+
+  /**
+   * One command of normalized text: { command, options, item }, or null.
+   * `previous` is the item of the command before it in a chain.
+   */
+  function parsePart(text, previous = null) {
+    if (!text) return null;
+
+    if (commandWords.singleCommands[text]) return { command: commandWords.singleCommands[text], options: null };
+
+    const direction = resolveDirection(text);
+    if (direction) return { command: `go ${direction}`, options: null };
+
+    for (const { verb, phrase } of verbPhrases) {
+      if (text.startsWith(`${phrase} `)) {
+        const parsed = resolve(verb, text.slice(phrase.length + 1), previous);
+        if (parsed) return parsed;
+      }
+      if (text.endsWith(` ${phrase}`)) {
+        const parsed = resolve(verb, text.slice(0, -phrase.length - 1), previous);
+        if (parsed) return parsed;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Returns an engine command string, or null when the input needs the model
+   * or names an item it can't pin down.
+   */
+  function parseCommand(input) {
+    if (typeof input !== "string") return null;
+    for (const reading of lowerCaseReadings(input)) {
+      const parsed = parsePart(normalizeInput(reading));
+      if (parsed) return parsed.options ? null : parsed.command;
+    }
+    return null;
+  }
+
+  /**
+   * Parse a whole turn, which may chain up to MAX_COMMANDS_PER_TURN commands.
+   * Returns { commands, options }, or null when the input needs the model.
+   * `options` is null unless a shared name left the item open; then the
+   * commands hold ITEM_SLOT where it goes (see fillItemSlot) and `options`
+   * lists the items the player may have meant.
+   */
+  function parseInput(input) {
+    if (typeof input !== "string") return null;
+    for (const reading of lowerCaseReadings(input)) {
+      const parsed = parseReading(reading);
+      if (parsed) return parsed;
+    }
+    return null;
+  }
+
+  // parseInput() of one lower-cased reading of the input
+  function parseReading(input) {
+    // "combine page and logbook" is one command, even though "and" chains
+    const whole = parsePart(normalizeInput(input));
+    if (whole) return { commands: [whole.command], options: whole.options };
+
+    const parts = input
+      .split(sequencePattern)
+      .map(normalizeInput)
+      .filter(Boolean);
+    if (parts.length < 2 || parts.length > engine.MAX_COMMANDS_PER_TURN) return null;
+
+    const commands = [];
+    let options = null;
+    let previous = null;
+    for (const part of parts) {
+      const parsed = parsePart(part, previous);
+      if (!parsed) return null;
+      if (parsed.options) {
+        // One question per turn; "it" after an open item asks the same one
+        if (options && options.join() !== parsed.options.join()) return null;
+        options = parsed.options;
+      }
+      commands.push(parsed.command);
+      previous = parsed.item || previous;
+    }
+    return { commands, options };
+  }
+
+  /**
+   * The player's answer to "which do you mean?": the one item of `options`
+   * the input names, or null.
+   */
+  function parseChoice(input, options) {
+    if (typeof input !== "string") return null;
+    for (const reading of lowerCaseReadings(input)) {
+      const ids = resolveItemIds(normalizeInput(reading)).filter((id) => options.includes(id));
+      if (ids.length > 0) return ids.length === 1 ? ids[0] : null;
+    }
+    return null;
+  }
+
+  return { parseCommand, parseInput, parseChoice };
+}
+
+/**
+ * Put the chosen item into the commands of parseInput().
+ */
+function fillItemSlot(commands, itemId) {
+  return commands.map((command) => command.split(ITEM_SLOT).join(itemId));
+}
+
+module.exports = {
+  ...createParser(engine),
+  createParser,
+  fillItemSlot,
+};
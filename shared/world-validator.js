@@ -0,0 +1,393 @@
+/**
+ * World validator
+ *
+ * Static checks (dangling references, unreachable rooms, missing translations)
+ * plus a breadth-first playthrough with the real engine to prove the game can
+ * be won and to find endings no playthrough reaches.
+ */
+
+const { createEngine } = require("./engine");
+const { ITEM_RULE_VERBS } = require("./world");
+
+// Upper bound on explored game states, so a huge world can't hang the CLI
+const MAX_SEARCH_STATES = 50000;
+
+function validateWorld(world) {
+  const errors = [];
+  const warnings = [];
+
+  checkReferences(world, errors, warnings);
+  checkReachability(world, errors);
+  checkTranslations(world, errors);
+
+  // Only simulate worlds whose references are sound - the engine would throw otherwise
+  if (errors.length === 0) {
+    checkWinnable(world, errors, warnings);
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Every room, item, flag and puzzle step a condition or effect mentions.
+ */
+function collectConditionRefs(condition, refs) {
+  if (!condition) return refs;
+  if (Array.isArray(condition)) {
+    condition.forEach((c) => collectConditionRefs(c, refs));
+    return refs;
+  }
+  for (const [key, value] of Object.entries(condition)) {
+    const values = Array.isArray(value) ? value : [value];
+    if (key === "all" || key === "any") {
+      value.forEach((c) => collectConditionRefs(c, refs));
+    } else if (key === "not") {
+      collectConditionRefs(value, refs);
+    } else {
+      refs.push({ key, values });
+    }
+  }
+  return refs;
+}
+
+function checkConditionRefs(world, condition, where, errors) {
+  const knownFlags = new Set(Object.keys(world.flags));
+  const knownSteps = new Set(world.puzzle.map((s) => s.id));
+
+  for (const { key, values } of collectConditionRefs(condition, [])) {
+    for (const value of values) {
+      if ((key === "room" || key === "visited") && !world.rooms[value]) {
+        errors.push(`${where}: condition refers to unknown room "${value}"`);
+      } else if ((key === "has" || key === "examined") && !world.items[value]) {
+        errors.push(`${where}: condition refers to missing item "${value}"`);
+      } else if (key === "flag" && !knownFlags.has(value)) {
+        errors.push(`${where}: condition refers to undeclared flag "${value}"`);
+      } else if (key === "step" && !knownSteps.has(value)) {
+        errors.push(`${where}: condition refers to unknown puzzle step "${value}"`);
+      } else if (!["room", "visited", "has", "examined", "flag", "step"].includes(key)) {
+        errors.push(`${where}: unknown condition "${key}"`);
+      }
+    }
+  }
+}
+
+function checkReferences(world, errors, warnings) {
+  const placedItems = new Set();
+
+  for (const room of Object.values(world.rooms)) {
+    for (const [direction, exit] of Object.entries(room.exits)) {
+      if (!world.directions[direction]) {
+        errors.push(`room "${room.id}": exit uses unknown direction "${direction}"`);
+      }
+      if (!world.rooms[exit.to]) {
+        errors.push(`room "${room.id}": exit ${direction} leads to unknown room "${exit.to}"`);
+      }
+      checkConditionRefs(world, exit.if, `room "${room.id}" exit ${direction}`, errors);
+    }
+    for (const itemId of room.items) {
+      if (!world.items[itemId]) {
+        errors.push(`room "${room.id}": contains missing item "${itemId}"`);
+      }
+      if (placedItems.has(itemId)) {
+        errors.push(`item "${itemId}" is placed more than once`);
+      }
+      placedItems.add(itemId);
+    }
+  }
+
+  for (const item of Object.values(world.items)) {
+    if (item.contains.length > 0 && !item.container) {
+      errors.push(`item "${item.id}" contains items but is not a container`);
+    }
+    for (const itemId of item.contains) {
+      if (!world.items[itemId]) {
+        errors.push(`item "${item.id}": contains missing item "${itemId}"`);
+      } else if (itemId === item.id) {
+        errors.push(`item "${item.id}" contains itself`);
+      }
+      if (placedItems.has(itemId)) {
+        errors.push(`item "${itemId}" is placed more than once`);
+      }
+      placedItems.add(itemId);
+    }
+  }
+
+  const knownFlags = new Set(Object.keys(world.flags));
+  for (const item of Object.values(world.items)) {
+    if (!placedItems.has(item.id)) {
+      warnings.push(`item "${item.id}" is not placed in any room`);
+    }
+    for (const [name, itemState] of Object.entries(item.states)) {
+      if (!knownFlags.has(itemState.flag)) {
+        errors.push(`item "${item.id}" state "${name}" uses undeclared flag "${itemState.flag}"`);
+      }
+    }
+    for (const verb of ITEM_RULE_VERBS) {
+      item[verb].forEach((rule, i) => {
+        const where = `item "${item.id}" ${verb} rule ${i + 1}`;
+        checkConditionRefs(world, rule.if, where, errors);
+        if (rule.with && !world.items[rule.with]) {
+          errors.push(`${where}: "with" refers to missing item "${rule.with}"`);
+        }
+        const effects = rule.effects || {};
+        for (const flag of [...(effects.set || []), ...(effects.clear || [])]) {
+          if (!knownFlags.has(flag)) {
+            errors.push(`${where}: effect changes undeclared flag "${flag}"`);
+          }
+        }
+        for (const itemId of [...(effects.remove || []), ...(effects.give || [])]) {
+          if (!world.items[itemId]) {
+            errors.push(`${where}: effect moves missing item "${itemId}"`);
+          }
+        }
+      });
+    }
+  }
+
+  const seenSteps = new Set();
+  for (const step of world.puzzle) {
+    if (seenSteps.has(step.id)) {
+      errors.push(`puzzle step "${step.id}" is defined twice`);
+    }
+    seenSteps.add(step.id);
+    if (!step.when) {
+      errors.push(`puzzle step "${step.id}" has no "when" condition`);
+    }
+    checkConditionRefs(world, step.when, `puzzle step "${step.id}"`, errors);
+
+    if (step.hints.length === 0) {
+      warnings.push(`puzzle step "${step.id}" has no hints`);
+    }
+    step.hints.forEach((tier, i) => {
+      tier.forEach((rule, j) => {
+        checkConditionRefs(world, rule.if, `puzzle step "${step.id}" hint ${i + 1} rule ${j + 1}`, errors);
+      });
+      if (tier.length === 0 || tier[tier.length - 1].if) {
+        warnings.push(`puzzle step "${step.id}" hint ${i + 1} has no rule without "if", so it may show nothing`);
+      }
+    });
+  }
+
+  const seenEndings = new Set();
+  for (const ending of world.endings) {
+    if (seenEndings.has(ending.id)) {
+      errors.push(`ending "${ending.id}" is defined twice`);
+    }
+    seenEndings.add(ending.id);
+    if (!ending.when) {
+      errors.push(`ending "${ending.id}" has no "when" condition`);
+    }
+    checkConditionRefs(world, ending.when, `ending "${ending.id}"`, errors);
+  }
+  if (!world.endings.some((ending) => ending.win)) {
+    errors.push("no ending lets the player win");
+  }
+}
+
+/**
+ * Rooms that no chain of exits leads to, ignoring locks.
+ */
+function checkReachability(world, errors) {
+  const seen = new Set([world.startRoom]);
+  const queue = [world.startRoom];
+  while (queue.length > 0) {
+    const room = world.rooms[queue.shift()];
+    for (const exit of Object.values(room.exits)) {
+      if (world.rooms[exit.to] && !seen.has(exit.to)) {
+        seen.add(exit.to);
+        queue.push(exit.to);
+      }
+    }
+  }
+
+  for (const id of Object.keys(world.rooms)) {
+    if (!seen.has(id)) {
+      errors.push(`room "${id}" is unreachable from "${world.startRoom}"`);
+    }
+  }
+}
+
+function checkTranslations(world, errors) {
+  errors.push(...findMissingTranslations(world, world.languages));
+}
+
+/**
+ * Every localized text in the world that has no translation for one of
+ * `languages`, as messages like 'room "pier" name: missing "de" translation'.
+ */
+function findMissingTranslations(world, languages) {
+  const missingTranslations = [];
+
+  function check(text, where) {
+    if (text == null) return;
+    for (const language of languages) {
+      const value = typeof text === "string" ? null : text[language];
+      const missing = Array.isArray(value) ? value.length === 0 : !value;
+      if (missing) {
+        missingTranslations.push(`${where}: missing "${language}" translation`);
+      }
+    }
+  }
+
+  check(world.title, "title");
+  for (const [direction, label] of Object.entries(world.directions)) {
+    check(label, `direction "${direction}"`);
+  }
+  for (const room of Object.values(world.rooms)) {
+    for (const field of ["name", "short", "description"]) {
+      check(room[field], `room "${room.id}" ${field}`);
+    }
+  }
+  for (const item of Object.values(world.items)) {
+    for (const field of ["name", "indefinite", "description", "text"]) {
+      check(item[field], `item "${item.id}" ${field}`);
+    }
+    check(item.aliases, `item "${item.id}" aliases`);
+    for (const [name, itemState] of Object.entries(item.states)) {
+      check(itemState.on, `item "${item.id}" state "${name}" on`);
+      check(itemState.off, `item "${item.id}" state "${name}" off`);
+    }
+  }
+  for (const step of world.puzzle) {
+    check(step.title, `puzzle step "${step.id}" title`);
+    step.hints.forEach((tier, i) => {
+      tier.forEach((rule, j) => check(rule.text, `puzzle step "${step.id}" hint ${i + 1} rule ${j + 1}`));
+    });
+  }
+  for (const ending of world.endings) {
+    check(ending.title, `ending "${ending.id}" title`);
+    check(ending.description, `ending "${ending.id}" description`);
+  }
+  return missingTranslations;
+}
+
+/**
+ * Every flag a condition or an item state reads, including the visited_ and
+ * examined_ flags behind "visited" and "examined" conditions.
+ */
+function collectReadFlags(world) {
+  const conditions = [
+    ...Object.values(world.rooms).flatMap((room) => Object.values(room.exits).map((exit) => exit.if)),
+    ...Object.values(world.items).flatMap((item) => ITEM_RULE_VERBS.flatMap((verb) => item[verb].map((r) => r.if))),
+    ...world.puzzle.flatMap((step) => [step.when, ...step.hints.flat().map((r) => r.if)]),
+    ...world.endings.map((ending) => ending.when),
+  ];
+
+  const flags = new Set();
+  for (const { key, values } of collectConditionRefs(conditions, [])) {
+    for (const value of values) {
+      if (key === "flag") flags.add(value);
+      if (key === "visited") flags.add(`visited_${value}`);
+      if (key === "examined") flags.add(`examined_${value}`);
+    }
+  }
+  for (const item of Object.values(world.items)) {
+    for (const itemState of Object.values(item.states)) flags.add(itemState.flag);
+  }
+  return flags;
+}
+
+/**
+ * Play every possible command sequence until each one ends. Reports an error
+ * when no sequence wins, naming the puzzle steps never reached, and a warning
+ * for every ending no sequence reaches.
+ *
+ * Only commands that can do something are tried: item verbs for items with
+ * rules or a default action for them, and no "drop" - putting something down
+ * only undoes a "take", and trying it everywhere would multiply the states.
+ */
+function checkWinnable(world, errors, warnings) {
+  const engine = createEngine(world);
+  const start = engine.createGameState();
+  const items = Object.values(world.items);
+
+  const canTry = (item, verb) =>
+    item[verb].length > 0 ||
+    (verb === "use" || verb === "break") ||
+    ((verb === "open" || verb === "close") && Boolean(item.states.open)) ||
+    (verb === "read" && Boolean(item.text));
+
+  // Flags nothing reads (examined_ and visited_ flags of most items and rooms)
+  // can't change what happens next, so states differing only there are the same
+  const readFlags = collectReadFlags(world);
+  const key = (state) =>
+    JSON.stringify([
+      state.currentRoomId,
+      [...state.inventory].sort(),
+      Object.keys(state.flags).filter((flag) => readFlags.has(flag) && state.flags[flag]).sort(),
+      state.roomItems,
+      state.containers,
+      state.puzzleProgress,
+    ]);
+
+  const reachedSteps = new Set();
+  const reachedEndings = new Set();
+  const seen = new Set([key(start)]);
+  const queue = [start];
+
+  while (queue.length > 0) {
+    if (seen.size > MAX_SEARCH_STATES) {
+      warnings.push(`winnability search stopped after ${MAX_SEARCH_STATES} states`);
+      return;
+    }
+
+    const state = queue.shift();
+    const room = world.rooms[state.currentRoomId];
+    const reachable = items.filter((item) => engine.findReachable(state, item.id));
+    const carried = reachable.filter((item) => state.inventory.includes(item.id));
+    const commands = [
+      ...Object.keys(room.exits).map((direction) => `go ${direction}`),
+      ...reachable.filter((item) => !item.fixed && !carried.includes(item)).map((item) => `take ${item.id}`),
+      ...reachable.map((item) => `examine ${item.id}`),
+      ...["use", "break"].flatMap((verb) => carried.map((item) => `${verb} ${item.id}`)),
+      ...["open", "close", "read", "push", "pull"].flatMap((verb) =>
+        reachable.filter((item) => canTry(item, verb)).map((item) => `${verb} ${item.id}`)
+      ),
+      ...carried.flatMap((item) =>
+        reachable
+          .filter((target) => target !== item)
+          .flatMap((target) => [
+            ...(target.container || item.put.length > 0 || target.put.length > 0 ? [`put ${item.id} in ${target.id}`] : []),
+            ...(item.combine.length > 0 || target.combine.length > 0 ? [`combine ${item.id} with ${target.id}`] : []),
+          ])
+      ),
+    ];
+
+    for (const command of commands) {
+      const next = JSON.parse(JSON.stringify(state));
+      engine.handleEngineCommand(next, command);
+
+      for (const [step, done] of Object.entries(next.puzzleProgress)) {
+        if (done) reachedSteps.add(step);
+      }
+      // An ended game has nothing more to explore
+      if (next.gameComplete) {
+        reachedEndings.add(next.ending);
+        continue;
+      }
+
+      const nextKey = key(next);
+      if (!seen.has(nextKey)) {
+        seen.add(nextKey);
+        queue.push(next);
+      }
+    }
+  }
+
+  for (const ending of world.endings) {
+    if (!reachedEndings.has(ending.id)) {
+      warnings.push(`ending "${ending.id}" is never reached`);
+    }
+  }
+
+  if (world.endings.some((ending) => ending.win && reachedEndings.has(ending.id))) return;
+  const unreached = world.puzzle.filter((s) => !reachedSteps.has(s.id)).map((s) => s.id);
+  errors.push(
+    `puzzle chain is unwinnable${unreached.length ? `: no sequence of commands completes ${unreached.join(", ")}` : ""}`
+  );
+}
+
+module.exports = {
+  validateWorld,
+  findMissingTranslations,
+};
@@ -0,0 +1,186 @@
+/**
+ * World definition loader
+ *
+ * A world file (see worlds/tugrul-bay.json) describes rooms, exits, locked
+ * exits, items with per-language aliases, and the puzzle steps with their
+ * conditions and effects. The same loaded world drives the engine and the
+ * world/puzzle sections of the game master prompt.
+ *
+ * Localized text is an object keyed by language: { "en": "...", "tr": "..." }.
+ *
+ * Items declare their own interactions: a list of rules per verb (ITEM_RULE_VERBS),
+ * where the first rule whose `if` holds applies its `effects`. Rules of the
+ * two-item verbs (put, combine) name the other item in `with`. Items may also
+ * be `fixed` (never carried), a `container` with starting `contains`, carry a
+ * readable `text`, and have named `states` (lit, open, unlocked...) that are
+ * each backed by a world flag, with a localized label for either value:
+ *
+ *   "states": { "lit": { "flag": "lanternLit", "on": { "en": "lit" }, "off": { "en": "unlit" } } }
+ *
+ * Puzzle steps may list `hints`, from vague to explicit. A hint is a localized
+ * text, or a list of { if, text } rules where the first rule whose condition
+ * holds is shown (so a hint can depend on where the player stands).
+ *
+ * `endings` list the ways the game can end, each with a `when` condition; the
+ * first ending whose condition holds ends the game. Endings with `"win": true`
+ * count as finishing it. A world without endings ends when every puzzle step
+ * is done.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_WORLD_PATH = path.join(__dirname, "worlds", "tugrul-bay.json");
+const SUPPORTED_FORMAT_VERSION = 1;
+
+// Verbs an item can have rules for
+const ITEM_RULE_VERBS = ["use", "break", "open", "close", "read", "push", "pull", "put", "combine"];
+
+/**
+ * Read and normalize a world file. Throws on anything the engine cannot run
+ * at all; deeper checks (reachability, winnability...) live in world-validator.js.
+ */
+function loadWorld(filePath = DEFAULT_WORLD_PATH) {
+  const raw = fs.readFileSync(filePath, "utf8");
+
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`World file ${filePath} is not valid JSON: ${e.message}`);
+  }
+
+  return normalizeWorld(data, filePath);
+}
+
+function normalizeWorld(data, source = "world") {
+  if (!data || typeof data !== "object") {
+    throw new Error(`${source}: world must be a JSON object`);
+  }
+  if (data.formatVersion !== SUPPORTED_FORMAT_VERSION) {
+    throw new Error(
+      `${source}: unsupported formatVersion ${data.formatVersion} (expected ${SUPPORTED_FORMAT_VERSION})`
+    );
+  }
+  for (const key of ["rooms", "items", "directions"]) {
+    if (!data[key] || typeof data[key] !== "object") {
+      throw new Error(`${source}: missing "${key}" object`);
+    }
+  }
+  if (!data.rooms[data.startRoom]) {
+    throw new Error(`${source}: startRoom "${data.startRoom}" is not a room`);
+  }
+
+  const rooms = {};
+  for (const [id, room] of Object.entries(data.rooms)) {
+    const exits = {};
+    for (const [direction, exit] of Object.entries(room.exits || {})) {
+      exits[direction] = typeof exit === "string" ? { to: exit } : { ...exit };
+    }
+    rooms[id] = { ...room, id, exits, items: [...(room.items || [])] };
+  }
+
+  const items = {};
+  for (const [id, item] of Object.entries(data.items)) {
+    items[id] = {
+      ...item,
+      id,
+      aliases: item.aliases || {},
+      fixed: Boolean(item.fixed),
+      container: Boolean(item.container),
+      contains: [...(item.contains || [])],
+      states: item.states || {},
+    };
+    for (const verb of ITEM_RULE_VERBS) {
+      items[id][verb] = item[verb] || [];
+    }
+  }
+
+  // Every hint tier becomes a list of rules
+  const puzzle = (data.puzzle || []).map((step) => ({
+    ...step,
+    hints: (step.hints || []).map((tier) => (Array.isArray(tier) ? tier : [{ text: tier }])),
+  }));
+
+  const endings = (data.endings || [
+    { id: "complete", kind: "victory", when: { step: puzzle.map((step) => step.id) } },
+  ]).map((ending) => ({ kind: "victory", ...ending, win: ending.win !== false }));
+
+  return {
+    ...data,
+    languages: data.languages || ["en"],
+    flags: data.flags || {},
+    puzzle,
+    endings,
+    rooms,
+    items,
+  };
+}
+
+/**
+ * Pick the text for a language, falling back to English.
+ */
+function localize(text, language = "en") {
+  if (text == null) return "";
+  if (typeof text === "string") return text;
+  return text[language] || text.en || "";
+}
+
+/**
+ * World and puzzle sections of the system prompt, generated from the world
+ * so the game master always describes the same map the engine runs.
+ */
+function describeWorldForPrompt(world) {
+  const roomLines = Object.values(world.rooms).map((room) => {
+    const exits = Object.entries(room.exits)
+      .map(([direction, exit]) => {
+        const target = localize(world.rooms[exit.to]?.name);
+        return exit.if ? `${direction} → ${target} (locked at first)` : `${direction} → ${target}`;
+      })
+      .join(", ");
+    const items = room.items.map((id) => localize(world.items[id]?.name)).join(", ");
+    return `- ${localize(room.name)}: ${localize(room.description)} Exits: ${exits || "none"}.${
+      items ? ` Items here at the start: ${items}.` : ""
+    }`;
+  });
+
+  const itemLines = Object.values(world.items).map((item) => {
+    const aliases = Object.values(item.aliases).flat().join(", ");
+    const notes = [];
+    if (item.fixed) notes.push("cannot be carried");
+    if (item.container) {
+      const contents = item.contains.map((id) => localize(world.items[id]?.name)).join(", ");
+      notes.push(`a container${contents ? `, holding ${contents} at the start` : ""}`);
+    }
+    const states = Object.values(item.states).map((s) => `${localize(s.off)}/${localize(s.on)}`);
+    if (states.length > 0) notes.push(`can be ${states.join(", ")}`);
+    if (item.text) notes.push(`written on it: "${localize(item.text)}"`);
+    return `- ${localize(item.name)} (engine name: ${item.id}; players may call it: ${aliases})${
+      notes.length ? ` - ${notes.join("; ")}` : ""
+    }`;
+  });
+
+  const steps = world.puzzle.map((step, i) => `${i + 1}. ${step.prompt || localize(step.title)}`);
+
+  const endingLines = world.endings.map(
+    (ending) => `- ${ending.id} (${ending.win ? "the player wins" : "the player does not win"}): ${localize(ending.description)}`
+  );
+
+  return {
+    setting: world.setting || "",
+    rooms: roomLines.join("\n"),
+    items: itemLines.join("\n"),
+    directions: Object.keys(world.directions).join(", "),
+    puzzle: steps.join("\n"),
+    endings: endingLines.join("\n"),
+  };
+}
+
+module.exports = {
+  DEFAULT_WORLD_PATH,
+  ITEM_RULE_VERBS,
+  loadWorld,
+  normalizeWorld,
+  localize,
+  describeWorldForPrompt,
+};